@@ -0,0 +1,569 @@
+/**
+ * Janitor Voice - Background Service Worker
+ * Relays keyboard commands to the content script in the active tab, runs it on
+ * other chat sites the user granted, holds API keys, performs TTS requests for
+ * the content script and caches generated audio
+ */
+
+'use strict';
+
+// ============================================================================
+// KEYBOARD COMMANDS
+// ============================================================================
+
+/**
+ * Forward a chrome.commands shortcut to the VoiceController in a tab
+ * @param {string} command - Command name declared in manifest.json
+ * @param {chrome.tabs.Tab} [tab] - Tab the command was fired in (if known)
+ */
+async function relayCommand(command, tab) {
+  if (!tab || !tab.id) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (!tab || !tab.id) return;
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, { action: 'COMMAND', command });
+  } catch (error) {
+    // No content script listening (tab is not a chat page)
+    console.warn(`[Janitor Voice] Command "${command}" not delivered:`, error.message);
+  }
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  console.log('[Janitor Voice] Command:', command);
+  relayCommand(command, tab);
+});
+
+// ============================================================================
+// OTHER CHAT SITES
+// ============================================================================
+
+/**
+ * Janitor AI's content script is declared in the manifest. Any other site runs
+ * it once the user grants the site from the popup: the origin becomes an
+ * optional host permission with a registered content script, and both go
+ * away together. The content script decides which site adapter applies.
+ */
+
+const SITE_SCRIPT_PREFIX = 'site:';
+
+function siteScriptId(pattern) {
+  return SITE_SCRIPT_PREFIX + pattern;
+}
+
+async function isSiteEnabled(pattern) {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [siteScriptId(pattern)] });
+  return registered.length > 0;
+}
+
+// pattern -> in-flight enableSite(); granting fires both onAdded and the
+// popup's ENABLE_SITE, which must not register or inject twice
+const pendingEnables = new Map();
+
+/**
+ * Run the content script on a granted origin, now and on future visits
+ * Concurrent calls for the same pattern share one run.
+ * @param {string} pattern - Origin match pattern, e.g. "https://agnai.chat/*"
+ * @returns {Promise<void>}
+ */
+function enableSite(pattern) {
+  if (!pendingEnables.has(pattern)) {
+    pendingEnables.set(pattern, startSite(pattern).finally(() => pendingEnables.delete(pattern)));
+  }
+  return pendingEnables.get(pattern);
+}
+
+async function startSite(pattern) {
+  if (!await isSiteEnabled(pattern)) {
+    await chrome.scripting.registerContentScripts([{
+      id: siteScriptId(pattern),
+      matches: [pattern],
+      js: ['content.js'],
+      css: ['styles.css'],
+      runAt: 'document_end',
+      persistAcrossSessions: true
+    }]);
+  }
+
+  // Start in tabs already open on the site (content.js ignores a second injection)
+  const tabs = await chrome.tabs.query({ url: pattern });
+  await Promise.all(tabs.map(async (tab) => {
+    try {
+      await chrome.scripting.insertCSS({ target: { tabId: tab.id }, files: ['styles.css'] });
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content.js'] });
+    } catch (error) {
+      console.warn('[Janitor Voice] Could not start on', tab.url, error.message);
+    }
+  }));
+  console.log('[Janitor Voice] Enabled on', pattern);
+}
+
+async function disableSite(pattern) {
+  if (await isSiteEnabled(pattern)) {
+    await chrome.scripting.unregisterContentScripts({ ids: [siteScriptId(pattern)] });
+  }
+  try {
+    await chrome.permissions.remove({ origins: [pattern] });
+  } catch (error) {
+    // Required host permission (e.g. localhost for local TTS servers): stays granted
+  }
+  console.log('[Janitor Voice] Disabled on', pattern);
+}
+
+// The popup's permission prompt can close the popup before it hears back, so
+// granting alone enables the site
+chrome.permissions.onAdded.addListener(({ origins = [] }) => {
+  origins.forEach(pattern => {
+    enableSite(pattern).catch(error => console.error('[Janitor Voice] Could not enable', pattern, error));
+  });
+});
+
+chrome.permissions.onRemoved.addListener(({ origins = [] }) => {
+  origins.forEach(async (pattern) => {
+    try {
+      if (await isSiteEnabled(pattern)) {
+        await chrome.scripting.unregisterContentScripts({ ids: [siteScriptId(pattern)] });
+      }
+    } catch (error) {
+      console.error('[Janitor Voice] Could not disable', pattern, error);
+    }
+  });
+});
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'ENABLE_SITE' || request.action === 'DISABLE_SITE') {
+    const change = request.action === 'ENABLE_SITE' ? enableSite(request.pattern) : disableSite(request.pattern);
+    change
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'GET_SITE_STATUS') {
+    isSiteEnabled(request.pattern).then(enabled => sendResponse({ ok: true, enabled }));
+    return true;
+  }
+
+  return false;
+});
+
+// ============================================================================
+// API KEYS
+// ============================================================================
+
+// Secrets live only in chrome.storage.local and are read here, never in the page
+const SECRET_SETTINGS = ['elevenLabsKey', 'unrealKey', 'openaiKey', 'customKey'];
+
+/**
+ * Origin each secret may be sent to
+ * Provider keys are tied to the provider's API; the OpenAI-compatible and
+ * custom keys to the server the user configured (providerConfig in sync
+ * settings), so a page can't have a key sent elsewhere.
+ * @param {string} name - One of SECRET_SETTINGS
+ * @returns {Promise<string|null>}
+ */
+async function getSecretOrigin(name) {
+  if (name === 'elevenLabsKey') return 'https://api.elevenlabs.io';
+  if (name === 'unrealKey') return 'https://api.v6.unrealspeech.com';
+
+  const { providerConfig = {} } = await chrome.storage.sync.get('providerConfig');
+  const configured = name === 'openaiKey'
+    ? (providerConfig.openai_compatible || {}).baseUrl || 'https://api.openai.com/v1'
+    : (providerConfig.custom_http || {}).url;
+  try {
+    return configured ? new URL(configured).origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function getSecret(name) {
+  if (!SECRET_SETTINGS.includes(name)) return null;
+  const stored = await chrome.storage.local.get(name);
+  return stored[name] || null;
+}
+
+/**
+ * Save (or clear) an API key
+ * @param {string} name - One of SECRET_SETTINGS
+ * @param {string} value - Key value; empty string removes it
+ * @param {boolean} [onlyIfMissing] - Keep an existing key (legacy migration)
+ */
+async function setSecret(name, value, onlyIfMissing = false) {
+  if (!SECRET_SETTINGS.includes(name)) throw new Error(`Unknown secret: ${name}`);
+  if (onlyIfMissing && await getSecret(name)) return;
+  if (value) {
+    await chrome.storage.local.set({ [name]: value });
+  } else {
+    await chrome.storage.local.remove(name);
+  }
+}
+
+/**
+ * Which keys are configured, without revealing them
+ * @returns {Promise<Object<string, boolean>>}
+ */
+async function getKeyStatus() {
+  const stored = await chrome.storage.local.get(SECRET_SETTINGS);
+  const status = {};
+  SECRET_SETTINGS.forEach(name => {
+    status[name] = !!stored[name];
+  });
+  return status;
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'SET_API_KEY') {
+    setSecret(request.name, request.value, request.onlyIfMissing)
+      .then(() => getKeyStatus())
+      .then(status => sendResponse({ ok: true, status }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true; // Async response
+  }
+
+  if (request.action === 'GET_KEY_STATUS') {
+    getKeyStatus().then(status => sendResponse({ ok: true, status }));
+    return true;
+  }
+
+  return false;
+});
+
+// ============================================================================
+// TTS REQUEST BROKER
+// ============================================================================
+
+/**
+ * Performs TTS HTTP calls on behalf of the content script.
+ * Each request uses its own port: the content script posts one request,
+ * receives the body as base64 'chunk' messages followed by 'done' (or 'error'),
+ * and disconnecting the port aborts the fetch.
+ *
+ * Request shape:
+ *   { label, url, method, headers, body, secret, responseType: 'audio' | 'json' }
+ * '{{apiKey}}' in header values is replaced with the named secret, only when
+ * the URL is on that secret's origin (getSecretOrigin).
+ * HTTP errors carry the status and Retry-After (ms) so the content script can back off.
+ */
+
+const BROKER_PORT = 'tts-request';
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Retry-After header (seconds or HTTP date) in milliseconds
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function handleTTSRequest(port, request) {
+  const controller = new AbortController();
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
+  });
+
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+
+  try {
+    const headers = { ...(request.headers || {}) };
+
+    if (request.secret) {
+      let origin = null;
+      try {
+        origin = new URL(request.url).origin;
+      } catch (error) {
+        // Invalid URL: rejected below
+      }
+      if (!origin || origin !== await getSecretOrigin(request.secret)) {
+        console.warn(`[Janitor Voice] ${request.secret} not sent to ${origin}: not its provider's server`);
+        post({ type: 'error', code: 'KEY_NOT_ALLOWED' });
+        return;
+      }
+
+      const secret = await getSecret(request.secret);
+      if (!secret) {
+        post({ type: 'error', code: 'NO_KEY' });
+        return;
+      }
+      Object.keys(headers).forEach(name => {
+        headers[name] = String(headers[name]).replace('{{apiKey}}', secret);
+      });
+    }
+
+    const response = await fetch(request.url, {
+      method: request.method || 'GET',
+      headers,
+      body: request.body,
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      post({
+        type: 'error',
+        status: response.status,
+        message: await response.text(),
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+      return;
+    }
+
+    if (request.responseType === 'json') {
+      post({ type: 'done', json: await response.json() });
+      return;
+    }
+
+    const reader = response.body.getReader();
+    let size = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.byteLength;
+      post({ type: 'chunk', data: bytesToBase64(value) });
+    }
+
+    post({ type: 'done', contentType: response.headers.get('Content-Type'), size });
+  } catch (error) {
+    if (controller.signal.aborted) return; // Content script hung up
+    console.error(`[Janitor Voice] ${request.label || 'TTS'} request failed:`, error);
+    post({ type: 'error', message: error.message });
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== BROKER_PORT) return;
+  port.onMessage.addListener((request) => {
+    if (request.type === 'cache-get') handleCacheGet(port, request);
+    else handleTTSRequest(port, request);
+  });
+});
+
+// ============================================================================
+// AUDIO CACHE
+// ============================================================================
+
+/**
+ * Generated audio, stored in the extension's IndexedDB (not the page's) so
+ * replays don't call the provider again. Entries are keyed by a SHA-256 the
+ * content script computes from provider + voice + settings + text, and the
+ * least recently played entries are evicted past MAX_CACHE_BYTES.
+ */
+
+const CACHE_DB = 'janitor-voice-cache';
+const ENTRY_STORE = 'entries'; // { key, provider, size, lastAccess } - small, walked for eviction
+const AUDIO_STORE = 'audio';   // key -> encoded audio bytes
+const MAX_CACHE_BYTES = 200 * 1024 * 1024;
+const CACHE_CHUNK_BYTES = 256 * 1024;
+
+let cacheDB = null;
+let cacheTotals = null; // Promise<{count, size}>: counted once per worker start, then kept up to date
+
+function openCacheDB() {
+  if (!cacheDB) {
+    cacheDB = new Promise((resolve, reject) => {
+      const open = indexedDB.open(CACHE_DB, 1);
+      open.onupgradeneeded = () => {
+        const entries = open.result.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+        entries.createIndex('lastAccess', 'lastAccess');
+        open.result.createObjectStore(AUDIO_STORE);
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => {
+        cacheDB = null;
+        reject(open.error);
+      };
+    });
+  }
+  return cacheDB;
+}
+
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Look up cached audio, marking it as recently used
+ * @param {string} key
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+async function cacheGet(key) {
+  const db = await openCacheDB();
+  const tx = db.transaction([ENTRY_STORE, AUDIO_STORE], 'readwrite');
+  const [entry, bytes] = await Promise.all([
+    idbResult(tx.objectStore(ENTRY_STORE).get(key)),
+    idbResult(tx.objectStore(AUDIO_STORE).get(key))
+  ]);
+  if (!entry || !bytes) return null;
+
+  entry.lastAccess = Date.now();
+  tx.objectStore(ENTRY_STORE).put(entry);
+  return bytes;
+}
+
+async function cachePut(key, provider, bytes) {
+  const db = await openCacheDB();
+  const totals = await getCacheTotals();
+  const tx = db.transaction([ENTRY_STORE, AUDIO_STORE], 'readwrite');
+  const entries = tx.objectStore(ENTRY_STORE);
+  const previous = await idbResult(entries.get(key));
+  tx.objectStore(AUDIO_STORE).put(bytes, key);
+  await idbResult(entries.put({ key, provider, size: bytes.byteLength, lastAccess: Date.now() }));
+
+  if (previous) {
+    totals.size -= previous.size;
+  } else {
+    totals.count++;
+  }
+  totals.size += bytes.byteLength;
+  await evictCache();
+}
+
+/**
+ * Entry count and total size, summed with a cursor the first time they're needed
+ * @returns {Promise<{count: number, size: number}>}
+ */
+function getCacheTotals() {
+  if (!cacheTotals) {
+    cacheTotals = openCacheDB().then(db => new Promise((resolve, reject) => {
+      const totals = { count: 0, size: 0 };
+      const cursorRequest = db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve(totals);
+          return;
+        }
+        totals.count++;
+        totals.size += cursor.value.size;
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    }));
+    cacheTotals.catch(() => {
+      cacheTotals = null;
+    });
+  }
+  return cacheTotals;
+}
+
+/**
+ * @returns {Promise<{count: number, size: number}>}
+ */
+async function cacheStats() {
+  const { count, size } = await getCacheTotals();
+  return { count, size };
+}
+
+// Drop least recently used entries until the cache fits MAX_CACHE_BYTES
+async function evictCache() {
+  const totals = await getCacheTotals();
+  if (totals.size <= MAX_CACHE_BYTES) return;
+
+  const db = await openCacheDB();
+  const tx = db.transaction([ENTRY_STORE, AUDIO_STORE], 'readwrite');
+  const audio = tx.objectStore(AUDIO_STORE);
+
+  await new Promise((resolve, reject) => {
+    const cursorRequest = tx.objectStore(ENTRY_STORE).index('lastAccess').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || totals.size <= MAX_CACHE_BYTES) {
+        resolve();
+        return;
+      }
+      totals.count--;
+      totals.size -= cursor.value.size;
+      audio.delete(cursor.value.key);
+      cursor.delete();
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+async function cacheClear() {
+  const db = await openCacheDB();
+  const tx = db.transaction([ENTRY_STORE, AUDIO_STORE], 'readwrite');
+  tx.objectStore(AUDIO_STORE).clear();
+  await idbResult(tx.objectStore(ENTRY_STORE).clear());
+  cacheTotals = Promise.resolve({ count: 0, size: 0 });
+}
+
+/**
+ * Stream a cached entry over a broker port ('done' with miss: true if absent)
+ */
+async function handleCacheGet(port, request) {
+  try {
+    const bytes = await cacheGet(request.key);
+    if (!bytes) {
+      port.postMessage({ type: 'done', miss: true });
+      return;
+    }
+
+    const view = new Uint8Array(bytes);
+    for (let i = 0; i < view.length; i += CACHE_CHUNK_BYTES) {
+      port.postMessage({ type: 'chunk', data: bytesToBase64(view.subarray(i, i + CACHE_CHUNK_BYTES)) });
+    }
+    port.postMessage({ type: 'done', size: view.length });
+  } catch (error) {
+    // A broken cache is just a miss
+    console.error('[Janitor Voice] Cache read failed:', error);
+    try {
+      port.postMessage({ type: 'done', miss: true });
+    } catch (e) {
+      // Port already closed
+    }
+  }
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'CACHE_PUT') {
+    cachePut(request.key, request.provider, base64ToBytes(request.data).buffer)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'CACHE_STATS') {
+    cacheStats()
+      .then(stats => sendResponse({ ok: true, stats }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'CACHE_CLEAR') {
+    cacheClear()
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  return false;
+});
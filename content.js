@@ -1,10 +1,12 @@
 /**
  * Janitor Voice - Content Script
- * Production-quality Text-to-Speech for Janitor AI
+ * Production-quality Text-to-Speech for Janitor AI (and other chat frontends)
  * 
  * Architecture:
- * - TTSEngine: Abstract interface for TTS providers
- * - WebSpeechTTS: Web Speech API implementation
+ * - SiteAdapters: DOM selectors for each supported chat site
+ * - TTSEngine: Base class for TTS providers (one subclass per provider)
+ * - TTSRegistry: Registered providers, used by normal and cinematic playback
+ * - WebSpeechTTS / ElevenLabsTTS / UnrealSpeechTTS: Built-in providers
  * - MessageDetector: MutationObserver-based message detection
  * - VoiceController: Main orchestrator
  * - UIPanel: Draggable control panel
@@ -19,65 +21,928 @@
 // ============================================================================
 
 const CONFIG = {
-  STORAGE_PREFIX: 'janitor_voice_',
-  PROVIDERS: {
-    WEB: 'web_speech',
-    ELEVEN: 'eleven_labs',
-    UNREAL: 'unreal_speech'
-  },
+  STORAGE_PREFIX: 'janitor_voice_', // Legacy localStorage prefix (migrated to chrome.storage)
   DEFAULTS: {
     enabled: true,
     rate: 1.0,
     pitch: 1.0,
     volume: 1.0,
     voiceURI: null,
+    readUserMessages: false, // Mic buttons on your own messages too
+    userVoiceURI: null, // Player voice for your own messages (null = voiceURI)
     provider: 'web_speech',
-    elevenLabsKey: '',
-    unrealKey: ''
-  },
-  SELECTORS: {
-    chatContainer: '[data-testid="virtuoso-scroller"], [data-testid="virtuoso-item-list"], main',
-    characterMessage: 'li._messageDisplayWrapper_2xqwb_2, li[class*="_messageDisplayWrapper_"]',
-    userMessage: '[class*="user"]',
-    messageBody: '[class*="_messageBody_"]'
+    providerConfig: {}, // { [providerId]: { field: value } } - see TTSEngine.settingsFields
+    fallbackChain: ['web_speech'], // Providers tried in order when the active one fails
+    generationConcurrency: 3, // Cinematic chunks generated in parallel
+    generationLookAhead: 8, // Max cinematic chunks generated ahead of playback
+    characterOffsets: {}, // { [speaker]: { rate, pitch, volume } } added to the global values in cinematic mode
+    normalizeLoudness: true, // Even out loudness between providers/voices (decoded audio only)
+    autoRead: false, // Speak new character messages as they arrive
+    autoReadCinematic: false, // Auto-read with cinematic multi-voice (regardless of cinematicMode)
+    autoReadWhileStreaming: true, // Start auto-reading before the reply has finished streaming
+    autoReadSwipes: false, // Speak a reply again when it is swiped or regenerated
+    selectorOverrides: {}, // { [siteAdapterId]: { [selectorKey]: selector } } - replace the adapter's selectors
+    cinematicMode: false
   },
+  // API keys: held by background.js in chrome.storage.local, never loaded into the page
+  SECRET_SETTINGS: ['elevenLabsKey', 'unrealKey', 'openaiKey', 'customKey'],
   UI: {
     panelId: 'janitor-voice-panel',
     overlayId: 'janitor-voice-overlay'
+  },
+  // Keyboard commands relayed by background.js (names match manifest.json)
+  COMMANDS: {
+    TOGGLE_VOICE: 'toggle-voice',
+    PLAY_PAUSE: 'play-pause',
+    STOP: 'stop-playback',
+    SKIP: 'skip',
+    NEXT_MESSAGE: 'next-message',
+    PREVIOUS_MESSAGE: 'previous-message',
+    NEXT_BLOCK: 'next-block',
+    PREVIOUS_BLOCK: 'previous-block',
+    SEEK_FORWARD: 'seek-forward',
+    SEEK_BACK: 'seek-back',
+    PLAY_FROM_HERE: 'play-from-here',
+    STOP_AFTER_CURRENT: 'stop-after-current',
+    TOGGLE_CINEMATIC: 'toggle-cinematic'
+  },
+  SEEK_SECONDS: 10,
+  AUTO_READ_SETTLE_MS: 1500, // A streaming message counts as finished after this long without changes
+  PLAYLIST_REVEAL_MS: 250, // Wait after scrolling for the chat list to render the next message
+  PLAYLIST_REVEAL_ATTEMPTS: 20 // Scrolls tried before a playlist gives up on the next message
+};
+
+// ============================================================================
+// SITE ADAPTERS
+// ============================================================================
+
+/**
+ * What the extension knows about each chat frontend's DOM
+ * Janitor AI's content script is declared in the manifest; other sites run it
+ * once granted from the popup (optional host permissions, registered by
+ * background.js). Adapters are matched by hostname, then self-hosted ones
+ * (SillyTavern) by their markup.
+ *
+ * selectors:
+ *   chatContainer    - Element observed for new messages
+ *   characterMessage - One message (may match user messages too, see userMessage)
+ *   userMessage      - A user message, or an element inside one
+ *   messageBody      - Text container inside a message (highlighting)
+ *   characterName    - Where the active character's name is shown
+ *   botDescription   - Character description/bio (gender hints for casting)
+ *   inputBox         - The message composer
+ * messageIdAttributes - Attributes identifying a message, checked on the
+ *   message and its ancestors in order
+ */
+const SITE_ADAPTERS = [
+  {
+    id: 'janitor',
+    name: 'Janitor AI',
+    hosts: ['janitorai.com'],
+    selectors: {
+      chatContainer: '[data-testid="virtuoso-scroller"], [data-testid="virtuoso-item-list"], main',
+      characterMessage: 'li._messageDisplayWrapper_2xqwb_2, li[class*="_messageDisplayWrapper_"]',
+      userMessage: '[class*="user"]',
+      messageBody: '[class*="_messageBody_"]',
+      characterName: 'h1, h2',
+      botDescription: '[class*="bio"], [class*="description"], [class*="profile"], [class*="character-info"]',
+      inputBox: 'textarea'
+    },
+    // Virtuoso sets data-item-index/data-index on the item wrapper
+    messageIdAttributes: ['data-message-id', 'data-item-index', 'data-index']
+  },
+  {
+    id: 'sillytavern',
+    name: 'SillyTavern',
+    hosts: [], // Self-hosted
+    detect: () => !!document.querySelector('#chat') && !!document.querySelector('#send_textarea'),
+    selectors: {
+      chatContainer: '#chat',
+      characterMessage: '#chat .mes',
+      userMessage: '.mes[is_user="true"]',
+      messageBody: '.mes_text',
+      characterName: '#rm_button_selected_ch h2',
+      botDescription: '#description_textarea',
+      inputBox: '#send_textarea'
+    },
+    messageIdAttributes: ['mesid']
+  },
+  {
+    id: 'agnai',
+    name: 'Agnaistic',
+    hosts: ['agnai.chat'],
+    selectors: {
+      chatContainer: '#chat-messages, main',
+      characterMessage: '[data-sender]',
+      userMessage: '[data-sender="user"]',
+      messageBody: '.rendered-markdown',
+      characterName: 'header h1, header .ellipsis',
+      botDescription: '[class*="description"]',
+      inputBox: '#chat-input, textarea'
+    },
+    messageIdAttributes: ['data-message-id', 'data-msgid']
+  },
+  {
+    id: 'chub',
+    name: 'Chub',
+    hosts: ['chub.ai'],
+    selectors: {
+      chatContainer: '#chat, [class*="chat-messages"], main',
+      characterMessage: '#chat .mes, [class*="chat-message"]',
+      userMessage: '.mes[is_user="true"], [class*="user-message"]',
+      messageBody: '.mes_text, [class*="message-content"]',
+      characterName: '.ch_name, h1, h2',
+      botDescription: '[class*="description"]',
+      inputBox: '#send_textarea, textarea'
+    },
+    messageIdAttributes: ['mesid', 'data-message-id', 'data-index']
+  }
+];
+
+const SiteAdapters = {
+  current: null,
+  overrides: {}, // The current site's selector overrides (settings.selectorOverrides)
+
+  // Selector keys, as named in the settings panel
+  LABELS: {
+    characterMessage: 'Messages',
+    userMessage: 'User Message Marker',
+    messageBody: 'Message Text',
+    chatContainer: 'Chat Container',
+    characterName: 'Character Name',
+    botDescription: 'Bot Description',
+    inputBox: 'Input Box'
+  },
+
+  /**
+   * Pick the adapter for this page: by hostname, then by markup
+   * @param {string} [hostname]
+   * @returns {Object|null} The adapter, or null if the page isn't a known chat frontend
+   */
+  resolve(hostname = location.hostname) {
+    const byHost = SITE_ADAPTERS.find(adapter =>
+      adapter.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`)));
+    this.current = byHost || SITE_ADAPTERS.find(adapter => adapter.detect && adapter.detect()) || null;
+    return this.current;
+  },
+
+  /**
+   * A selector of the current site (the user's override, if set)
+   * @param {string} key - One of the SITE_ADAPTERS selector keys
+   * @returns {string|null}
+   */
+  selector(key) {
+    if (!this.current) return null;
+    return this.overrides[key] || this.current.selectors[key];
+  },
+
+  /**
+   * Use the current site's entry of settings.selectorOverrides; invalid selectors are ignored
+   * @param {Object} all - { [adapterId]: { [key]: selector } }
+   */
+  setOverrides(all) {
+    const overrides = (this.current && all && all[this.current.id]) || {};
+    this.overrides = {};
+    Object.keys(overrides).forEach(key => {
+      if (this.countMatches(overrides[key]) === -1) {
+        console.warn(`[Janitor Voice] Ignoring invalid ${key} selector:`, overrides[key]);
+      } else {
+        this.overrides[key] = overrides[key];
+      }
+    });
+  },
+
+  /**
+   * How many page elements a selector matches, leaving out the extension's own UI
+   * @param {string} selector
+   * @returns {number} -1 if the selector is invalid
+   */
+  countMatches(selector) {
+    try {
+      return Array.from(document.querySelectorAll(selector))
+        .filter(el => !el.closest(`#${CONFIG.UI.panelId}, #${CONFIG.UI.overlayId}`)).length;
+    } catch (error) {
+      return -1;
+    }
+  },
+
+  /**
+   * @returns {string[]} Message id attributes of the current site
+   */
+  messageIdAttributes() {
+    return this.current ? this.current.messageIdAttributes : [];
   }
 };
 
+/**
+ * Low-level persistence over chrome.storage.sync
+ * Extension storage is isolated from janitorai.com page scripts, unlike localStorage.
+ * API keys are not stored here - see TTSBroker.setApiKey().
+ */
 const StorageManager = {
-  get(key, defaultValue = null) {
+  async getMany(keys, area = chrome.storage.sync) {
     try {
-      const stored = localStorage.getItem(CONFIG.STORAGE_PREFIX + key);
-      return stored !== null ? JSON.parse(stored) : defaultValue;
+      return await area.get(keys);
     } catch (error) {
       console.error('[Janitor Voice] Storage get error:', error);
-      return defaultValue;
+      return {};
     }
   },
-  set(key, value) {
+  async set(key, value) {
     try {
-      localStorage.setItem(CONFIG.STORAGE_PREFIX + key, JSON.stringify(value));
+      await chrome.storage.sync.set({ [key]: value });
       return true;
     } catch (error) {
       console.error('[Janitor Voice] Storage set error:', error);
       return false;
     }
   },
-  loadSettings() {
-    return {
-      enabled: this.get('enabled', CONFIG.DEFAULTS.enabled),
-      rate: this.get('rate', CONFIG.DEFAULTS.rate),
-      pitch: this.get('pitch', CONFIG.DEFAULTS.pitch),
-      volume: this.get('volume', CONFIG.DEFAULTS.volume),
-      voiceURI: this.get('voiceURI', CONFIG.DEFAULTS.voiceURI),
-      provider: this.get('provider', CONFIG.DEFAULTS.provider),
-      elevenLabsKey: this.get('elevenLabsKey', CONFIG.DEFAULTS.elevenLabsKey),
-      unrealKey: this.get('unrealKey', CONFIG.DEFAULTS.unrealKey),
-      cinematicMode: this.get('cinematicMode', false) // NEW: Cinematic voice mode
+
+  /**
+   * One-time move of settings saved by older versions in page localStorage
+   * Values already present in chrome.storage win; legacy entries are always removed.
+   */
+  async migrateLegacy() {
+    const legacy = {};
+    [...Object.keys(CONFIG.DEFAULTS), ...CONFIG.SECRET_SETTINGS].forEach(key => {
+      try {
+        const stored = localStorage.getItem(CONFIG.STORAGE_PREFIX + key);
+        if (stored !== null) legacy[key] = JSON.parse(stored);
+      } catch (error) {
+        console.warn('[Janitor Voice] Skipping unreadable legacy setting:', key);
+      }
+    });
+
+    const keys = Object.keys(legacy);
+    if (keys.length === 0) return;
+
+    console.log('[Janitor Voice] Migrating legacy settings:', keys);
+
+    const existing = await this.getMany(keys);
+
+    for (const key of keys) {
+      let saved;
+      if (CONFIG.SECRET_SETTINGS.includes(key)) {
+        saved = await TTSBroker.setApiKey(key, legacy[key], true).then(() => true, () => false);
+      } else {
+        saved = existing[key] !== undefined || await this.set(key, legacy[key]);
+      }
+      if (saved) localStorage.removeItem(CONFIG.STORAGE_PREFIX + key);
+    }
+  }
+};
+
+/**
+ * Async settings layer - single cached copy of all settings
+ * Call load() once before reading; get() is synchronous afterwards.
+ * Changes made in other tabs arrive through chrome.storage.onChanged.
+ * For API keys only their presence is known (keyStatus), never the value.
+ */
+const SettingsManager = {
+  settings: null,
+  keyStatus: {},
+  loading: null,
+  listeners: [],
+
+  /**
+   * Load settings (migrating legacy storage first)
+   * @returns {Promise<Object>} Live settings object, shared by all readers
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadFromStorage();
+    }
+    return this.loading;
+  },
+
+  async loadFromStorage() {
+    await StorageManager.migrateLegacy();
+
+    const [synced, keyStatus] = await Promise.all([
+      StorageManager.getMany(Object.keys(CONFIG.DEFAULTS)),
+      TTSBroker.getKeyStatus()
+    ]);
+
+    this.settings = { ...CONFIG.DEFAULTS, ...synced };
+    this.keyStatus = keyStatus;
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local') {
+        // Key saved/cleared (possibly in another tab): refresh presence flags only
+        if (CONFIG.SECRET_SETTINGS.some(key => key in changes)) {
+          TTSBroker.getKeyStatus().then(status => {
+            this.keyStatus = status;
+            this.notify({ keyStatus: status });
+          });
+        }
+        return;
+      }
+      if (areaName !== 'sync') return;
+      const updates = {};
+      Object.entries(changes).forEach(([key, change]) => {
+        if (!(key in CONFIG.DEFAULTS)) return;
+        // Also fires in the tab that wrote the value; newValue is a copy, so compare by value
+        if (JSON.stringify(this.settings[key]) === JSON.stringify(change.newValue)) return;
+        this.settings[key] = change.newValue !== undefined ? change.newValue : CONFIG.DEFAULTS[key];
+        updates[key] = this.settings[key];
+      });
+      if (Object.keys(updates).length > 0) this.notify(updates);
+    });
+
+    return this.settings;
+  },
+
+  get(key) {
+    if (!this.settings) {
+      console.warn(`[Janitor Voice] Setting "${key}" read before load()`);
+      return CONFIG.DEFAULTS[key];
+    }
+    return this.settings[key];
+  },
+
+  async set(key, value) {
+    if (this.settings) this.settings[key] = value;
+    return StorageManager.set(key, value);
+  },
+
+  hasKey(name) {
+    return !!this.keyStatus[name];
+  },
+
+  /**
+   * Save or clear an API key (held by the background worker)
+   * @param {string} name - One of CONFIG.SECRET_SETTINGS
+   * @param {string} value - Key value ('' clears it)
+   */
+  async setApiKey(name, value) {
+    this.keyStatus = await TTSBroker.setApiKey(name, value);
+    return this.hasKey(name);
+  },
+
+  /**
+   * Subscribe to settings changed elsewhere (other tabs, popup)
+   * @param {Function} listener - Called with an object of changed keys
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
     };
+  },
+
+  notify(updates) {
+    this.listeners.forEach(listener => listener(updates));
+  }
+};
+
+// ============================================================================
+// TTS REQUEST BROKER (CLIENT)
+// ============================================================================
+
+/**
+ * Failed TTS request
+ * status is the HTTP status (0 for network errors); code is 'NO_KEY',
+ * 'KEY_NOT_ALLOWED' (URL is not the key's provider) or 'NOT_CONFIGURED' when
+ * the provider couldn't be called at all.
+ * retryAfter (ms) comes from the provider's Retry-After header.
+ */
+class TTSRequestError extends Error {
+  constructor(message, { provider = null, status = 0, code = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'TTSRequestError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+
+  get throttled() {
+    return this.status === 429;
+  }
+
+  // Rate limits, server errors and network failures; never auth/validation errors
+  get retryable() {
+    if (this.code) return false;
+    return this.status === 0 || this.throttled || this.status >= 500;
+  }
+}
+
+/**
+ * Sends premium TTS HTTP requests through the background service worker.
+ * API keys are held by background.js; requests name the secret they need
+ * and put '{{apiKey}}' where it belongs in the headers.
+ */
+const TTSBroker = {
+  PORT_NAME: 'tts-request',
+  MAX_RETRIES: 3,
+  BASE_DELAY: 500,           // ms, doubled per attempt
+  MAX_DELAY: 8000,           // ms, backoff cap
+  MAX_RETRY_AFTER: 20000,    // ms; longer waits fail now (fallback / producer pause take over)
+  retryListeners: [],
+
+  /**
+   * Perform a request in the background worker, retrying transient failures
+   * TTS calls are idempotent, so 429/5xx/network errors are retried with
+   * exponential backoff, honoring Retry-After.
+   * @param {Object} request - { label, url, method, headers, body, secret, responseType, retries?, signal? }
+   *   signal (AbortSignal) cancels the fetch in the background worker and any pending retry
+   * @returns {Promise<ArrayBuffer|Object>} Audio bytes, or parsed JSON for responseType 'json'
+   */
+  async request(request) {
+    const maxRetries = request.retries !== undefined ? request.retries : this.MAX_RETRIES;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(request);
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt);
+        if (!(error instanceof TTSRequestError) || !error.retryable || attempt >= maxRetries || delay === null) {
+          throw error;
+        }
+
+        console.warn(`[Janitor Voice] ${request.label}: ${error.message} - retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        this.retryListeners.forEach(listener => listener({ label: request.label, error, attempt: attempt + 1, delay }));
+        await this.delay(delay, request.signal);
+      }
+    }
+  },
+
+  /**
+   * Wait, rejecting with an AbortError if the signal fires first
+   * @param {number} ms
+   * @param {AbortSignal} [signal]
+   */
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this.abortError());
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(this.abortError());
+        }, { once: true });
+      }
+    });
+  },
+
+  abortError() {
+    return new DOMException('TTS request aborted', 'AbortError');
+  },
+
+  /**
+   * @returns {number|null} Wait before the next attempt, or null if Retry-After is too long
+   */
+  getRetryDelay(error, attempt) {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= this.MAX_RETRY_AFTER ? error.retryAfter : null;
+    }
+    const backoff = Math.min(this.MAX_DELAY, this.BASE_DELAY * 2 ** attempt);
+    return Math.round(backoff + Math.random() * 250); // Jitter
+  },
+
+  /**
+   * Listen for retries (status line)
+   * @param {function({label: string, error: TTSRequestError, attempt: number, delay: number})} listener
+   * @returns {function()} Unsubscribe
+   */
+  onRetry(listener) {
+    this.retryListeners.push(listener);
+    return () => {
+      this.retryListeners = this.retryListeners.filter(l => l !== listener);
+    };
+  },
+
+  /**
+   * Perform a single request in the background worker
+   */
+  send(request) {
+    const { signal, ...message } = request; // AbortSignal can't be posted
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this.abortError());
+        return;
+      }
+
+      const port = chrome.runtime.connect({ name: this.PORT_NAME });
+      const chunks = [];
+      let settled = false;
+
+      // Disconnecting makes the background worker abort its fetch
+      const onAbort = () => finish(reject, this.abortError());
+
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        port.disconnect();
+        callback(value);
+      };
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      port.onMessage.addListener((response) => {
+        if (response.type === 'chunk') {
+          chunks.push(this.base64ToBytes(response.data));
+        } else if (response.type === 'done') {
+          if (response.miss) finish(resolve, null); // Audio cache miss
+          else finish(resolve, request.responseType === 'json' ? response.json : this.concatBytes(chunks));
+        } else if (response.type === 'error') {
+          finish(reject, this.toError(request, response));
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        finish(reject, new Error(`${request.label}: background worker disconnected`));
+      });
+
+      port.postMessage(message);
+    });
+  },
+
+  fetchAudio(request) {
+    return this.request({ ...request, responseType: 'audio' });
+  },
+
+  fetchJSON(request) {
+    return this.request({ ...request, responseType: 'json' });
+  },
+
+  toError(request, message) {
+    if (message.code === 'NO_KEY') {
+      return new TTSRequestError(`${request.label} API key not configured`, { provider: request.label, code: 'NO_KEY' });
+    }
+    if (message.code === 'KEY_NOT_ALLOWED') {
+      return new TTSRequestError(`${request.label} API key is only sent to its provider's server`, {
+        provider: request.label,
+        code: 'KEY_NOT_ALLOWED'
+      });
+    }
+    return message.status
+      ? new TTSRequestError(`${request.label} API Error (${message.status}): ${message.message}`, {
+        provider: request.label,
+        status: message.status,
+        retryAfter: message.retryAfter
+      })
+      : new TTSRequestError(`${request.label} network error: ${message.message}`, { provider: request.label });
+  },
+
+  base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  },
+
+  concatBytes(chunks) {
+    const total = chunks.reduce((sum, c) => sum + c.byteLength, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(c => {
+      result.set(c, offset);
+      offset += c.byteLength;
+    });
+    return result.buffer;
+  },
+
+  /**
+   * Save or clear an API key in the background worker
+   * @param {string} name - One of CONFIG.SECRET_SETTINGS
+   * @param {string} value - Key value ('' clears it)
+   * @param {boolean} [onlyIfMissing] - Don't overwrite an existing key
+   * @returns {Promise<Object<string, boolean>>} Updated key status
+   */
+  async setApiKey(name, value, onlyIfMissing = false) {
+    const response = await chrome.runtime.sendMessage({ action: 'SET_API_KEY', name, value, onlyIfMissing });
+    if (!response || !response.ok) {
+      throw new Error(response ? response.error : 'Background worker unavailable');
+    }
+    return response.status;
+  },
+
+  /**
+   * @returns {Promise<Object<string, boolean>>} Which API keys are configured
+   */
+  async getKeyStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'GET_KEY_STATUS' });
+      return response && response.ok ? response.status : {};
+    } catch (error) {
+      console.error('[Janitor Voice] Key status error:', error);
+      return {};
+    }
+  }
+};
+
+/**
+ * Client for the background worker's IndexedDB audio cache
+ * Keys are SHA-256 hashes of provider + voice + settings + text.
+ */
+const AudioCache = {
+  /**
+   * @param {Object} parts - { provider, voice, settings, text }
+   * @returns {Promise<string>} Hex digest
+   */
+  async key(parts) {
+    const data = new TextEncoder().encode(JSON.stringify(parts));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  /**
+   * @returns {Promise<ArrayBuffer|null>} Cached encoded audio
+   */
+  async get(key) {
+    try {
+      return await TTSBroker.send({ label: 'Audio cache', type: 'cache-get', key });
+    } catch (error) {
+      console.warn('[Janitor Voice] Audio cache read failed:', error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Store encoded audio (fire and forget)
+   * Encodes synchronously, so the buffer may be handed to decodeAudioData right after.
+   */
+  put(key, provider, arrayBuffer) {
+    let binary = '';
+    const bytes = new Uint8Array(arrayBuffer);
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+
+    chrome.runtime.sendMessage({ action: 'CACHE_PUT', key, provider, data: btoa(binary) })
+      .catch(error => console.warn('[Janitor Voice] Audio cache write failed:', error.message));
+  },
+
+  /**
+   * @returns {Promise<{count: number, size: number}>}
+   */
+  async stats() {
+    const response = await chrome.runtime.sendMessage({ action: 'CACHE_STATS' });
+    if (!response || !response.ok) throw new Error(response ? response.error : 'Background worker unavailable');
+    return response.stats;
+  },
+
+  async clear() {
+    const response = await chrome.runtime.sendMessage({ action: 'CACHE_CLEAR' });
+    if (!response || !response.ok) throw new Error(response ? response.error : 'Background worker unavailable');
+  }
+};
+
+// ============================================================================
+// AUDIO ENGINE
+// ============================================================================
+
+/**
+ * The page's single Web Audio graph, shared by every TTS engine and the
+ * cinematic consumer (browsers cap how many AudioContexts a page may open):
+ *
+ *   source -> voice gain -> master gain -> analyser -> destination
+ *
+ * Each voice gets its own gain node so per-voice levels can be adjusted
+ * without touching the others. Each source also gets its own gain: the
+ * requested volume times a loudness normalization factor measured from the
+ * decoded buffer (gated RMS, capped by peak). Pausing suspends the whole context, which
+ * freezes every source mid-buffer; players await whenResumed() before
+ * starting their next chunk.
+ */
+const AudioEngine = {
+  context: null,
+  masterGain: null,
+  analyser: null,
+  voiceGains: new Map(),
+  paused: false,
+  resumeWaiters: [],
+
+  // Loudness normalization
+  normalize: true, // Kept in step with the normalizeLoudness setting
+  loudnessGains: new WeakMap(), // AudioBuffer -> gain, measured once per buffer
+  TARGET_RMS: 0.1,      // ~-20 dBFS speech level
+  MAX_GAIN: 4,          // Don't boost quiet clips more than +12 dB
+  MIN_GAIN: 0.25,
+  PEAK_CEILING: 0.98,   // Never push a peak into clipping
+  SILENCE_RMS: 0.003,   // Windows quieter than this (~-50 dBFS) don't count
+  WINDOW_SECONDS: 0.05,
+
+  /**
+   * Lazily create the context and graph, resuming it if the browser suspended it
+   * @returns {AudioContext}
+   */
+  getContext() {
+    if (!this.context) {
+      this.context = new (window.AudioContext || window.webkitAudioContext)();
+
+      this.masterGain = this.context.createGain();
+      this.analyser = this.context.createAnalyser();
+      this.analyser.fftSize = 2048;
+
+      this.masterGain.connect(this.analyser);
+      this.analyser.connect(this.context.destination);
+    }
+
+    if (this.context.state === 'suspended' && !this.paused) {
+      this.context.resume().catch(error => {
+        console.warn('[AudioEngine] Could not resume audio context:', error);
+      });
+    }
+
+    return this.context;
+  },
+
+  /**
+   * Decode encoded audio (mp3/wav/...) into an AudioBuffer
+   * @param {ArrayBuffer} arrayBuffer
+   * @returns {Promise<AudioBuffer>}
+   */
+  decode(arrayBuffer) {
+    return this.getContext().decodeAudioData(arrayBuffer);
+  },
+
+  /**
+   * Gain node for one voice, created on first use
+   * @param {string} [voiceId] - Voice ID/URI; falsy uses a shared default node
+   * @returns {GainNode}
+   */
+  getVoiceGain(voiceId) {
+    const key = voiceId || 'default';
+    let gain = this.voiceGains.get(key);
+    if (!gain) {
+      gain = this.getContext().createGain();
+      gain.connect(this.masterGain);
+      this.voiceGains.set(key, gain);
+    }
+    return gain;
+  },
+
+  /**
+   * Create a buffer source wired into the graph (caller starts it)
+   * @param {AudioBuffer} audioBuffer
+   * @param {Object} [options]
+   * @param {string} [options.voice] - Voice the audio belongs to
+   * @param {number} [options.rate] - Playback rate
+   * @param {number} [options.volume] - Gain for this source only (0.0 to 1.0)
+   * @returns {AudioBufferSourceNode}
+   */
+  createSource(audioBuffer, { voice, rate = 1, volume = 1 } = {}) {
+    const context = this.getContext();
+    const source = context.createBufferSource();
+    source.buffer = audioBuffer;
+    source.playbackRate.value = rate;
+
+    const level = volume * (this.normalize ? this.getNormalizationGain(audioBuffer) : 1);
+    if (level === 1) {
+      source.connect(this.getVoiceGain(voice));
+    } else {
+      const gain = context.createGain();
+      gain.gain.value = level;
+      source.connect(gain);
+      gain.connect(this.getVoiceGain(voice));
+    }
+    return source;
+  },
+
+  /**
+   * Gated RMS and peak of a decoded buffer (all channels)
+   * RMS is averaged over non-silent windows only, so pauses between
+   * sentences don't make a clip look quieter than it sounds.
+   * @param {AudioBuffer} audioBuffer
+   * @returns {{rms: number, peak: number}}
+   */
+  measureLoudness(audioBuffer) {
+    const windowSize = Math.max(1, Math.round(audioBuffer.sampleRate * this.WINDOW_SECONDS));
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(audioBuffer.getChannelData(c));
+    }
+
+    let peak = 0;
+    let loudSum = 0;
+    let loudSamples = 0;
+
+    for (let start = 0; start < audioBuffer.length; start += windowSize) {
+      const end = Math.min(start + windowSize, audioBuffer.length);
+      let sum = 0;
+      channels.forEach(data => {
+        for (let i = start; i < end; i++) {
+          const sample = data[i];
+          sum += sample * sample;
+          if (Math.abs(sample) > peak) peak = Math.abs(sample);
+        }
+      });
+
+      const count = (end - start) * channels.length;
+      if (Math.sqrt(sum / count) >= this.SILENCE_RMS) {
+        loudSum += sum;
+        loudSamples += count;
+      }
+    }
+
+    return { rms: loudSamples > 0 ? Math.sqrt(loudSum / loudSamples) : 0, peak };
+  },
+
+  /**
+   * Gain that brings a buffer to TARGET_RMS without clipping
+   * @param {AudioBuffer} audioBuffer
+   * @returns {number}
+   */
+  getNormalizationGain(audioBuffer) {
+    let gain = this.loudnessGains.get(audioBuffer);
+    if (gain === undefined) {
+      const { rms, peak } = this.measureLoudness(audioBuffer);
+      gain = 1;
+      if (rms > 0) {
+        gain = Math.min(this.MAX_GAIN, Math.max(this.MIN_GAIN, this.TARGET_RMS / rms));
+        if (peak > 0) gain = Math.min(gain, this.PEAK_CEILING / peak);
+      }
+      this.loudnessGains.set(audioBuffer, gain);
+    }
+    return gain;
+  },
+
+  /**
+   * Start a source part-way in, remembering where for getSourcePosition()
+   * @param {AudioBufferSourceNode} source - From createSource()
+   * @param {number} [offset] - Seconds into the buffer
+   * @returns {{source: AudioBufferSourceNode, time: number, offset: number}}
+   */
+  startSource(source, offset = 0) {
+    source.start(0, offset);
+    return { source, time: this.context.currentTime, offset };
+  },
+
+  /**
+   * Seconds into the buffer a started source has reached (stands still while paused)
+   * @param {{source: AudioBufferSourceNode, time: number, offset: number}} started
+   * @returns {number}
+   */
+  getSourcePosition(started) {
+    const elapsed = (this.context.currentTime - started.time) * started.source.playbackRate.value;
+    return Math.min(started.offset + elapsed, started.source.buffer.duration);
+  },
+
+  /**
+   * @param {number} volume - 0.0 to 1.0
+   */
+  setMasterVolume(volume) {
+    this.getContext();
+    this.masterGain.gain.value = volume;
+  },
+
+  /**
+   * @param {string} voiceId
+   * @param {number} volume - 0.0 to 1.0
+   */
+  setVoiceVolume(voiceId, volume) {
+    this.getVoiceGain(voiceId).gain.value = volume;
+  },
+
+  /**
+   * Freeze playback in place
+   */
+  pause() {
+    this.paused = true;
+    if (this.context) {
+      this.context.suspend().catch(error => {
+        console.warn('[AudioEngine] Could not suspend audio context:', error);
+      });
+    }
+  },
+
+  /**
+   * Continue from where pause() stopped and release waiting players
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.context) this.getContext();
+
+    const waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+  },
+
+  /**
+   * Resolves immediately, or once playback is resumed
+   * @returns {Promise<void>}
+   */
+  whenResumed() {
+    if (!this.paused) return Promise.resolve();
+    return new Promise(resolve => this.resumeWaiters.push(resolve));
+  },
+
+  /**
+   * Analyser on the master output (for level meters/visualizers)
+   * @returns {AnalyserNode}
+   */
+  getAnalyser() {
+    this.getContext();
+    return this.analyser;
   }
 };
 
@@ -155,6 +1020,22 @@ function smartSplit(text, maxLength = 900) {
   return chunks.filter(c => c.length > 0);
 }
 
+/**
+ * Character offsets where each sentence begins (always includes 0)
+ * Used to step through a single Web Speech utterance sentence by sentence
+ * @param {string} text
+ * @returns {number[]}
+ */
+function sentenceStarts(text) {
+  const starts = [0];
+  const boundary = /[.!?…]+["'”’)\]]*\s+(?=\S)/g;
+  let match;
+  while ((match = boundary.exec(text)) !== null) {
+    starts.push(match.index + match[0].length);
+  }
+  return starts;
+}
+
 // ============================================================================
 // SCRIPT PARSING - PHASE 1: NARRATION + DIALOGUE SEPARATION
 // ============================================================================
@@ -323,7 +1204,7 @@ function extractCharacterNames(fallbackText = '') {
     }
 
     // Check main header
-    const mainHeader = document.querySelector('h1, h2');
+    const mainHeader = SiteAdapters.current && document.querySelector(SiteAdapters.selector('characterName'));
     if (mainHeader) {
       const name = mainHeader.textContent.trim();
       // Clean possessive from header too just in case
@@ -648,19 +1529,16 @@ function detectGender(name, contextText = '') {
 
   const lowerName = name.toLowerCase();
 
-  // PRIORITY 1: Try to extract from UI (Janitor AI profile)
+  // PRIORITY 1: Try to extract from UI (the site's character description)
   // Only works if we are on the page
   if (typeof document !== 'undefined') {
     try {
-      const bioSelectors = ['[class*="bio"]', '[class*="description"]', '[class*="profile"]', '[class*="character-info"]'];
-      for (const selector of bioSelectors) {
-        const elements = document.querySelectorAll(selector);
-        for (const el of elements) {
-          const text = el.textContent.toLowerCase();
-          // Precise whole-word check if possible, or context check
-          if (text.includes(` ${lowerName} is a male`) || text.includes(` ${lowerName} is a man`)) return 'male';
-          if (text.includes(` ${lowerName} is a female`) || text.includes(` ${lowerName} is a woman`)) return 'female';
-        }
+      const elements = SiteAdapters.current ? document.querySelectorAll(SiteAdapters.selector('botDescription')) : [];
+      for (const el of elements) {
+        const text = (el.value || el.textContent).toLowerCase(); // SillyTavern keeps it in a textarea
+        // Precise whole-word check if possible, or context check
+        if (text.includes(` ${lowerName} is a male`) || text.includes(` ${lowerName} is a man`)) return 'male';
+        if (text.includes(` ${lowerName} is a female`) || text.includes(` ${lowerName} is a woman`)) return 'female';
       }
     } catch (e) { /* ignore */ }
   }
@@ -942,6 +1820,31 @@ function parseScriptComplete(rawText, characterList = null, provider = 'web_spee
   return result;
 }
 
+/**
+ * Incremental parseScriptComplete for text that arrives in pieces (a streaming reply)
+ * Characters are re-extracted from everything received so far; anyone already
+ * cast keeps their voice, so a speaker doesn't change voice mid-reply.
+ * @param {string} segment - Newly completed text (whole sentences, quotes balanced)
+ * @param {Object} state - Carried between calls for one reply; start with {}
+ * @param {string} [provider] - TTS provider
+ * @param {string} [preferredVoiceURI] - Optional preferred voice for narrator
+ * @returns {Array} Script blocks with voices for this segment
+ */
+function parseScriptSegment(segment, state, provider = 'web_speech', preferredVoiceURI = null) {
+  state.text = state.text ? `${state.text} ${segment}` : segment;
+  state.registry = state.registry || {};
+
+  const characterList = extractCharacterNames(state.text);
+  const scriptWithSpeakers = detectSpeakers(parseScript(segment), characterList);
+  const { registry } = prepareVoiceCasting(scriptWithSpeakers, [...characterList], state.text, provider, preferredVoiceURI);
+
+  Object.keys(registry).forEach(name => {
+    if (!state.registry[name]) state.registry[name] = registry[name];
+  });
+
+  return attachVoices(scriptWithSpeakers, state.registry);
+}
+
 /**
  * Test suite for Phase 3: Voice Casting
  */
@@ -984,435 +1887,491 @@ function testVoiceCasting() {
 // testVoiceCasting();
 
 // ============================================================================
-// SCRIPT PARSING - PHASE 4: STREAMING AUDIO PRODUCER
+// ASYNC QUEUE
 // ============================================================================
 
 /**
- * Audio Producer - Streaming TTS generation with queue
- * Generates audio chunks from script blocks and pushes to queue in real-time
+ * Awaitable FIFO between a producer and a consumer
+ * - push() adds items; next() resolves with the next item as soon as one exists
+ * - close() ends the stream once remaining items are taken
+ * - abort() (or the optional AbortSignal) ends it immediately and drops pending items
+ * next() resolves { value, done } like an async iterator, so `for await` works too.
  */
-class AudioProducer {
-  constructor(provider = 'web_speech') {
-    this.provider = provider;
-    this.audioQueue = [];
-    this.isGenerating = false;
-    this.generatedCount = 0;
-    this.totalBlocks = 0;
-    this.currentBlock = 0;
-    this.onProgress = null; // Callback for progress updates
-    this.onComplete = null; // Callback when all generation done
-    this.onError = null; // Callback for errors
-
-    // Pre-load Web Speech voices
-    if (provider === 'web_speech') {
-      const synth = window.speechSynthesis;
-      const voices = synth.getVoices(); // Trigger loading
-      console.log('[AudioProducer] Pre-loaded', voices.length, 'voices');
+class AsyncQueue {
+  /**
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the queue when fired
+   */
+  constructor({ signal } = {}) {
+    this.items = [];
+    this.waiters = [];
+    this.closed = false;
+    this.aborted = false;
+
+    if (signal) {
+      if (signal.aborted) this.abort();
+      else signal.addEventListener('abort', () => this.abort(), { once: true });
     }
+  }
 
-    // Voice Buckets Cache
-    this.voiceBuckets = {
-      male: [],
-      female: [],
-      initialized: false
-    };
+  get size() {
+    return this.items.length;
   }
 
   /**
-   * Sort available browser voices into Gender Buckets
-   * @private
+   * @param {*} item
+   * @returns {boolean} false if the queue is already closed
    */
-  _categorizeVoices() {
-    const synth = window.speechSynthesis;
-    const voices = synth.getVoices();
-
-    if (voices.length === 0) return; // Not loaded yet
+  push(item) {
+    if (this.closed) return false;
 
-    // Reset buckets
-    this.voiceBuckets.male = [];
-    this.voiceBuckets.female = [];
-
-    const priorityFemale = [];
-    const priorityMale = [];
-    const otherFemale = [];
-    const otherMale = [];
-
-    voices.forEach(v => {
-      const name = v.name;
-      const lowerName = name.toLowerCase();
-
-      // Specific User Requests for Female Voices
-      // 1. Google US English
-      // 2. Google UK English Female
-      // 3. Microsoft Zira
-      if (name === 'Google US English' || name === 'Google UK English Female' || name.includes('Microsoft Zira')) {
-        priorityFemale.push(v);
-        return;
-      }
-
-      // Regex Matchers
-      // Female: Zira, Samantha, Victoria, Google UK Female, etc.
-      if (/Zira|Samantha|Victoria|Google UK English Female|Google US English|Female|Susan|Hazel|Heera|Ravi/i.test(name) && !/Male/i.test(name)) {
-        otherFemale.push(v);
-      }
-      // Male: David, Alex, Mark, Daniel, George, Microsoft, etc.
-      else if (/David|Alex|Mark|Daniel|George|Stefan|Paul|James|Microsoft|Male/i.test(name)) {
-        otherMale.push(v);
-      }
-    });
-
-    // Combine with priority voices first
-    // Sort priority female to match requested order: US -> UK -> Zira
-    priorityFemale.sort((a, b) => {
-      const order = ['Google US English', 'Google UK English Female', 'Microsoft Zira'];
-      const aIndex = order.findIndex(p => a.name.includes(p));
-      const bIndex = order.findIndex(p => b.name.includes(p));
-      return aIndex - bIndex;
-    });
-
-    this.voiceBuckets.female = [...priorityFemale, ...otherFemale];
-    this.voiceBuckets.male = [...priorityMale, ...otherMale];
-
-    this.voiceBuckets.initialized = true;
-    console.log(`[AudioProducer] Categorized Voices: ${this.voiceBuckets.male.length} Male, ${this.voiceBuckets.female.length} Female`);
-    console.log('[AudioProducer] Priority Female:', priorityFemale.map(v => v.name));
+    const waiter = this.waiters.shift();
+    if (waiter) waiter({ value: item, done: false });
+    else this.items.push(item);
+    return true;
   }
 
   /**
-   * Map generic voice ID to actual provider voice
-   * @param {string} voiceId - Generic voice ID from Phase 3
-   * @param {string} provider - TTS provider
-   * @returns {string|null} Actual voice identifier for provider
-   */
-  mapVoiceToProvider(voiceId, provider) {
-    if (provider === 'web_speech') {
-      // 1. Ensure buckets are ready
-      if (!this.voiceBuckets.initialized || this.voiceBuckets.male.length === 0) {
-        this._categorizeVoices();
-      }
+   * @returns {Promise<{value: *, done: boolean}>}
+   */
+  next() {
+    if (this.items.length > 0) {
+      return Promise.resolve({ value: this.items.shift(), done: false });
+    }
+    if (this.closed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  // No more items will be pushed; consumers drain what's left
+  close() {
+    this.closed = true;
+    this.waiters.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+  }
 
-      // 2. Parse ID (e.g. "female_voice_2" -> type="female", index=1)
-      let type = 'male';
-      let index = 0;
+  // Stop now: pending items are dropped and waiting consumers are released
+  abort() {
+    this.aborted = true;
+    this.items = [];
+    this.close();
+  }
 
-      if (voiceId.includes('female')) type = 'female';
-      else if (voiceId.includes('male')) type = 'male';
-      else if (voiceId.includes('narrator')) type = 'male'; // Narrator defaults to male
-      else if (voiceId.includes('neutral')) type = 'female';
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
 
-      // Extract index if present
-      const match = voiceId.match(/_(\d+)$/);
-      if (match) {
-        index = parseInt(match[1]) - 1; // 1-based to 0-based
-      }
+// ============================================================================
+// SCRIPT PARSING - PHASE 4: STREAMING AUDIO PRODUCER
+// ============================================================================
 
-      // 3. Select from Bucket
-      const bucket = this.voiceBuckets[type];
-      let selectedVoice = null;
+/**
+ * Audio Producer - Streaming TTS generation with queue
+ * Generates audio chunks from script blocks and pushes to queue in real-time
+ */
+class AudioProducer {
+  constructor(provider = 'web_speech', fallbackChain = []) {
+    this.provider = provider;
+    this.engines = TTSRegistry.getChain(provider, fallbackChain); // Active provider first
+    this.engine = this.engines[0] || TTSRegistry.get('web_speech');
+    this.audioQueue = new AsyncQueue(); // Replaced per generateScript() run
+    this.abortController = new AbortController();
+    this.isGenerating = false;
+    this.generatedCount = 0;
+    this.cachedCount = 0; // Chunks served from the audio cache
+    this.totalBlocks = 0;
+    this.currentBlock = 0;
+    this.onProgress = null; // Callback for progress updates
+    this.onComplete = null; // Callback when all generation done
+    this.onError = null; // Callback for errors
+    this.onFallback = null; // Callback when a chunk came from a fallback provider
+    this.onThrottle = null; // Callback when generation pauses for a rate limit
+    this.maxThrottlePauses = 5;
 
-      if (bucket && bucket.length > 0) {
-        // Wrap around if index exceeds available voices
-        selectedVoice = bucket[index % bucket.length];
-      } else {
-        // Fallback to other bucket
-        const otherBucket = type === 'male' ? this.voiceBuckets.female : this.voiceBuckets.male;
-        if (otherBucket && otherBucket.length > 0) {
-          selectedVoice = otherBucket[0];
-        }
-      }
+    // User's speed/pitch/volume, plus per-speaker offsets on top
+    this.voiceSettings = { rate: 1.0, pitch: 1.0, volume: 1.0 };
+    this.characterOffsets = {};
 
-      if (selectedVoice) {
-        console.log(`[AudioProducer] Mapping ${voiceId} -> ${selectedVoice.name}`);
-        return selectedVoice.voiceURI;
-      }
+    // Parallel generation
+    this.concurrency = 1; // Chunks generated at once
+    this.lookAhead = Infinity; // Max chunks generated past the listener (consumer calls markPlayed)
+    this.settled = new Map(); // jobIndex -> finished chunk waiting for its turn in the queue
+    this.pushedJobs = []; // jobIndex of each queued chunk, in queue order
+    this.nextToPush = 0;
+    this.playedCount = 0;
+    this.windowWaiters = [];
 
-      // Ultimate fallback
-      return null;
-    }
+    // Pre-load provider voices
+    const voices = this.engine.getVoices(); // Trigger loading
+    console.log('[AudioProducer] Pre-loaded', voices.length, 'voices');
 
-    // For premium providers (ElevenLabs, Unreal Speech)
-    // We'll use their default voices for now
-    return null; // Null means use provider default
+    // Voice Buckets Cache (per provider, fallbacks cast from their own voices)
+    this.voiceBuckets = new Map();
   }
 
   /**
-   * Generate TTS audio for a single text block
-   * Routes to appropriate provider based on settings
-   * @param {string} text - Text to convert
-   * @param {string} voiceId - Generic voice ID
-   * @returns {Promise<AudioBuffer|Blob>} Generated audio
+   * Sort a provider's voices into Gender Buckets
+   * @private
+   * @param {TTSEngine} engine
+   * @returns {{male: Array, female: Array, initialized: boolean}}
    */
-  async generateTTS(text, voiceId) {
-    console.log(`[AudioProducer] Generating TTS: "${text.substring(0, 50)}..." with voice: ${voiceId}`);
+  _categorizeVoices(engine) {
+    const buckets = this.voiceBuckets.get(engine.id) || { male: [], female: [], initialized: false };
+    this.voiceBuckets.set(engine.id, buckets);
 
-    // Map generic voice to provider-specific voice
-    const providerVoice = this.mapVoiceToProvider(voiceId, this.provider);
+    const voices = engine.getVoices();
+    if (voices.length === 0) return buckets; // Not loaded yet
 
-    // Route to appropriate TTS engine
-    // We'll use the existing TTS engines but call them directly
+    const sorted = engine.categorizeVoices(voices);
+    buckets.female = sorted.female;
+    buckets.male = sorted.male;
 
-    if (this.provider === 'web_speech') {
-      return this.generateWebSpeech(text, providerVoice);
-    } else if (this.provider === 'eleven_labs') {
-      return this.generateElevenLabs(text, providerVoice);
-    } else if (this.provider === 'unreal_speech') {
-      return this.generateUnrealSpeech(text, providerVoice);
-    } else {
-      throw new Error(`Unknown provider: ${this.provider}`);
-    }
+    buckets.initialized = true;
+    console.log(`[AudioProducer] Categorized ${engine.label} Voices: ${buckets.male.length} Male, ${buckets.female.length} Female`);
+    return buckets;
   }
 
   /**
-   * Generate audio using Web Speech API
-   * Returns a synthetic AudioBuffer-like object
+   * Map generic voice ID to actual provider voice
+   * @param {string} voiceId - Generic voice ID from Phase 3
+   * @param {TTSEngine} [engine] - Provider to cast from (defaults to the active one)
+   * @returns {string|null} Actual voice identifier for provider (null = provider default)
    */
-  async generateWebSpeech(text, voiceURI) {
-    const synth = window.speechSynthesis;
-    const utterance = new SpeechSynthesisUtterance(text);
+  mapVoiceToProvider(voiceId, engine = this.engine) {
+    if (!voiceId) return null;
 
-    // Get voices (they should be loaded by now)
-    const voices = synth.getVoices();
-
-    console.log('[AudioProducer] Available voices:', voices.length);
-    console.log('[AudioProducer] Looking for voiceURI:', voiceURI);
+    // Narrator may already be a concrete voice picked in the panel
+    if (engine.getVoices().some(v => v.voiceURI === voiceId)) {
+      return voiceId;
+    }
 
-    if (voiceURI && voices.length > 0) {
-      const voice = voices.find(v => v.voiceURI === voiceURI);
-      if (voice) {
-        utterance.voice = voice;
-        console.log('[AudioProducer] ✓ Selected voice:', voice.name, '(', voice.lang, ')');
-      } else {
-        console.log('[AudioProducer] ⚠ Voice not found:', voiceURI);
-        console.log('[AudioProducer] Available voices:', voices.map(v => v.name).join(', '));
-      }
-    } else {
-      console.log('[AudioProducer] Using default voice');
+    // 1. Ensure buckets are ready
+    let buckets = this.voiceBuckets.get(engine.id);
+    if (!buckets || !buckets.initialized || buckets.male.length === 0) {
+      buckets = this._categorizeVoices(engine);
     }
 
-    // Return utterance immediately (don't wait for speech)
-    return {
-      type: 'web_speech_utterance',
-      utterance: utterance,
-      text: text
-    };
-  }
+    // 2. Parse ID (e.g. "female_voice_2" -> type="female", index=1)
+    let type = 'male';
+    let index = 0;
 
-  /**
-   * Generate audio using ElevenLabs API
-   * Note: Requires API key from settings
-   */
-  async generateElevenLabs(text, voiceId) {
-    // Get API key from storage
-    const apiKey = StorageManager.get('elevenLabsKey');
-    if (!apiKey) {
-      throw new Error('ElevenLabs API key not configured');
-    }
+    if (voiceId.includes('female')) type = 'female';
+    else if (voiceId.includes('male')) type = 'male';
+    else if (voiceId.includes('narrator')) type = 'male'; // Narrator defaults to male
+    else if (voiceId.includes('neutral')) type = 'female';
 
-    // Use default voice if not specified
-    const actualVoiceId = voiceId || '21m00Tcm4TlvDq8ikWAM'; // Rachel
-    const modelId = 'eleven_turbo_v2_5';
+    // Extract index if present
+    const match = voiceId.match(/_(\d+)$/);
+    if (match) {
+      index = parseInt(match[1]) - 1; // 1-based to 0-based
+    }
 
-    console.log(`[AudioProducer] ElevenLabs: Generating with voice ${actualVoiceId}`);
+    // 3. Select from Bucket
+    const bucket = buckets[type];
+    let selectedVoice = null;
 
-    const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${actualVoiceId}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'xi-api-key': apiKey
-      },
-      body: JSON.stringify({
-        text: text,
-        model_id: modelId,
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.75
-        }
-      })
-    });
+    if (bucket && bucket.length > 0) {
+      // Wrap around if index exceeds available voices
+      selectedVoice = bucket[index % bucket.length];
+    } else {
+      // Fallback to other bucket
+      const otherBucket = type === 'male' ? buckets.female : buckets.male;
+      if (otherBucket && otherBucket.length > 0) {
+        selectedVoice = otherBucket[0];
+      }
+    }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`ElevenLabs API Error (${response.status}): ${errorText}`);
+    if (selectedVoice) {
+      console.log(`[AudioProducer] Mapping ${voiceId} -> ${selectedVoice.name}`);
+      return selectedVoice.voiceURI;
     }
 
-    const arrayBuffer = await response.arrayBuffer();
-    console.log(`[AudioProducer] ElevenLabs: Received ${arrayBuffer.byteLength} bytes`);
+    // Ultimate fallback
+    return null;
+  }
 
-    // Decode to AudioBuffer for consistent format
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+  /**
+   * Speed/pitch/volume for a speaker: the global values plus that speaker's offsets
+   * Offsets are matched by name, case-insensitively
+   * @param {string} [speaker]
+   * @returns {{rate: number, pitch: number, volume: number}}
+   */
+  getVoiceSettings(speaker) {
+    const name = (speaker || 'Narrator').toLowerCase();
+    const key = Object.keys(this.characterOffsets).find(k => k.toLowerCase() === name);
+    const offsets = key ? this.characterOffsets[key] : {};
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
 
     return {
-      type: 'audio_buffer',
-      audioBuffer: audioBuffer,
-      text: text
+      rate: clamp(this.voiceSettings.rate + (Number(offsets.rate) || 0), 0.5, 2),
+      pitch: clamp(this.voiceSettings.pitch + (Number(offsets.pitch) || 0), 0.5, 2),
+      volume: clamp(this.voiceSettings.volume + (Number(offsets.volume) || 0), 0, 1)
     };
   }
 
   /**
-   * Generate audio using Unreal Speech API
-   * Note: Requires API key from settings
+   * Generate TTS audio for a single text block
+   * Falls back along the provider chain if the active provider fails
+   * @param {string} text - Text to convert
+   * @param {string} voiceId - Generic voice ID
+   * @param {Object} [settings] - From getVoiceSettings()
+   * @returns {Promise<Object>} Generated audio (see TTSEngine.synthesize)
    */
-  async generateUnrealSpeech(text, voiceId) {
-    // Get API key from storage
-    const apiKey = StorageManager.get('unrealKey');
-    if (!apiKey) {
-      throw new Error('Unreal Speech API key not configured');
-    }
-
-    // Use default voice if not specified
-    const actualVoiceId = voiceId || 'Scarlett';
-
-    console.log(`[AudioProducer] Unreal Speech: Generating with voice ${actualVoiceId}`);
-
-    const response = await fetch('https://api.v6.unrealspeech.com/stream', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        Text: text,
-        VoiceId: actualVoiceId,
-        Bitrate: '192k',
-        Speed: '0',
-        Pitch: '1.0',
-        Codec: 'libmp3lame'
-      })
-    });
+  async generateTTS(text, voiceId, settings = this.voiceSettings) {
+    console.log(`[AudioProducer] Generating TTS: "${text.substring(0, 50)}..." with voice: ${voiceId}`);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Unreal Speech API Error (${response.status}): ${errorText}`);
-    }
+    return TTSRegistry.synthesizeWithFallback(
+      this.engines,
+      text,
+      // Map generic voice to provider-specific voice
+      (engine) => ({ ...settings, voiceURI: this.mapVoiceToProvider(voiceId, engine), signal: this.abortController.signal }),
+      this.onFallback,
+      // Keep the cast's voices: wait out rate limits instead of switching provider
+      { fallbackOnThrottle: false }
+    );
+  }
 
-    const arrayBuffer = await response.arrayBuffer();
+  /**
+   * generateTTS, pausing generation (not dropping the chunk) while the provider is rate limiting
+   * Requests already retry with backoff; this covers limits that outlast those retries.
+   */
+  async generateWhenAllowed(text, voiceId, settings) {
+    for (let pause = 1; ; pause++) {
+      try {
+        return await this.generateTTS(text, voiceId, settings);
+      } catch (error) {
+        if (!error.throttled || pause > this.maxThrottlePauses || !this.isGenerating) throw error;
 
-    if (arrayBuffer.byteLength === 0) {
-      throw new Error('Unreal Speech returned empty audio');
+        const wait = error.retryAfter || 5000 * pause;
+        console.warn(`[AudioProducer] Rate limited, pausing generation for ${wait}ms (${pause}/${this.maxThrottlePauses})`);
+        if (this.onThrottle) this.onThrottle({ error, wait });
+        await TTSBroker.delay(wait, this.abortController.signal);
+      }
     }
-
-    console.log(`[AudioProducer] Unreal Speech: Received ${arrayBuffer.byteLength} bytes`);
-
-    // Decode to AudioBuffer
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-
-    return {
-      type: 'audio_buffer',
-      audioBuffer: audioBuffer,
-      text: text
-    };
   }
 
   /**
-   * Process a single script block (with chunking support)
+   * Split one script block into the chunks to generate
    * @param {Object} block - Script block from Phase 3
-   * @param {number} blockIndex - Index of block in script
+   * @param {number} blockIndex
+   * @param {number} firstJobIndex - jobIndex of the block's first chunk
+   * @returns {Array<Object>} Jobs: { block, blockIndex, chunkIndex, totalChunks, text, settings, jobIndex }
    */
-  async processBlock(block, blockIndex) {
-    console.log(`\n[AudioProducer] Processing block ${blockIndex + 1}: ${block.type}`);
-
+  planBlock(block, blockIndex, firstJobIndex) {
     // Split text if needed (using existing smartSplit function)
-    const chunks = smartSplit(block.text, 900);
-    console.log(`[AudioProducer] Split into ${chunks.length} chunk(s)`);
-
-    // Generate audio for each chunk
-    for (let i = 0; i < chunks.length; i++) {
-      const chunkText = chunks[i];
-      const chunkNum = i + 1;
-      const totalChunks = chunks.length;
+    const chunks = smartSplit(block.text, this.engine.constructor.maxChunkLength);
+    const settings = this.getVoiceSettings(block.speaker);
+    return chunks.map((text, chunkIndex) => (
+      { block, blockIndex, chunkIndex, totalChunks: chunks.length, text, settings, jobIndex: firstJobIndex + chunkIndex }
+    ));
+  }
 
-      try {
-        console.log(`[AudioProducer] Generating chunk ${chunkNum}/${totalChunks}: "${chunkText.substring(0, 30)}..."`);
+  /**
+   * Generate one chunk; failures are returned, not thrown, so the chunk can be skipped in order
+   * @param {Object} job - From planBlock()
+   * @returns {Promise<{job: Object, audio?: Object, error?: Error}>}
+   */
+  async generateChunk(job) {
+    const chunkNum = job.chunkIndex + 1;
+    console.log(`[AudioProducer] Generating block ${job.blockIndex + 1} chunk ${chunkNum}/${job.totalChunks}: "${job.text.substring(0, 30)}..."`);
 
-        // Generate TTS
-        const audioData = await this.generateTTS(chunkText, block.voice);
+    try {
+      const audio = await this.generateWhenAllowed(job.text, job.block.voice, job.settings);
+      return { job, audio };
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error(`[AudioProducer] Error generating block ${job.blockIndex + 1} chunk ${chunkNum}/${job.totalChunks}:`, error);
+      }
+      return { job, error };
+    }
+  }
 
+  /**
+   * Push finished chunks to the queue in script order
+   * Chunks that finished early wait in this.settled until everything before them is in.
+   */
+  flushSettled() {
+    while (this.settled.has(this.nextToPush)) {
+      const { job, audio, error } = this.settled.get(this.nextToPush);
+      this.settled.delete(this.nextToPush);
+      this.nextToPush++;
+
+      if (error) {
+        // Error callback - continue with next chunk (don't fail entire block)
+        if (this.onError) {
+          this.onError({
+            block: job.block,
+            chunkIndex: job.chunkIndex,
+            error: error
+          });
+        }
+      } else {
         // Push to queue
+        this.pushedJobs.push(job.jobIndex);
         this.audioQueue.push({
-          audio: audioData,
-          voice: block.voice,
-          text: chunkText,
-          speaker: block.speaker || 'Narrator',
-          type: block.type,
-          blockIndex: blockIndex,
-          chunkIndex: i,
-          totalChunks: totalChunks
+          audio: audio,
+          voice: job.block.voice,
+          volume: job.settings.volume,
+          text: job.text,
+          speaker: job.block.speaker || 'Narrator',
+          type: job.block.type,
+          blockIndex: job.blockIndex,
+          chunkIndex: job.chunkIndex,
+          totalChunks: job.totalChunks,
+          jobIndex: job.jobIndex
         });
 
         this.generatedCount++;
+        if (audio.cached) this.cachedCount++;
 
-        console.log(`[AudioProducer] ✓ Chunk ${chunkNum}/${totalChunks} ready. Queue size: ${this.audioQueue.length}`);
+        console.log(`[AudioProducer] ✓ Block ${job.blockIndex + 1} chunk ${job.chunkIndex + 1}/${job.totalChunks} ready. Queue size: ${this.audioQueue.size}`);
+      }
 
-        // Progress callback
-        if (this.onProgress) {
-          this.onProgress({
-            current: this.currentBlock + 1,
-            total: this.totalBlocks,
-            generatedAudioChunks: this.generatedCount,
-            queueSize: this.audioQueue.length
-          });
-        }
+      if (job.chunkIndex === job.totalChunks - 1) {
+        this.currentBlock = job.blockIndex + 1;
+      }
 
-      } catch (error) {
-        console.error(`[AudioProducer] Error generating chunk ${chunkNum}/${totalChunks}:`, error);
+      // Progress callback
+      if (!error && this.onProgress) {
+        this.onProgress({
+          current: Math.min(job.blockIndex + 1, this.totalBlocks),
+          total: this.totalBlocks,
+          generatedAudioChunks: this.generatedCount,
+          cachedAudioChunks: this.cachedCount,
+          queueSize: this.audioQueue.size
+        });
+      }
+    }
 
-        // Error callback
-        if (this.onError) {
-          this.onError({
-            block: block,
-            chunkIndex: i,
-            error: error
-          });
-        }
+    this.wakeWindowWaiters();
+  }
 
-        // Continue with next chunk (don't fail entire block)
-      }
+  /**
+   * First job not yet heard by the listener
+   * The look-ahead window is counted from here.
+   */
+  getPlaybackFrontier() {
+    if (this.playedCount < this.pushedJobs.length) {
+      return this.pushedJobs[this.playedCount];
+    }
+    return this.nextToPush; // Everything pushed so far was played (or failed)
+  }
+
+  /**
+   * Wait until a job is within lookAhead chunks of the playback position
+   * @param {number} jobIndex
+   */
+  async waitForWindow(jobIndex) {
+    while (this.isGenerating && jobIndex >= this.getPlaybackFrontier() + this.lookAhead) {
+      await new Promise(resolve => this.windowWaiters.push(resolve));
     }
+  }
+
+  wakeWindowWaiters() {
+    const waiters = this.windowWaiters;
+    this.windowWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
 
-    this.currentBlock++;
+  /**
+   * Called by the consumer after each chunk so generation stays within the look-ahead window
+   * @param {number} playedCount - Queue items played so far
+   */
+  markPlayed(playedCount) {
+    this.playedCount = playedCount;
+    this.wakeWindowWaiters();
   }
 
   /**
    * Start streaming audio generation for entire script
-   * @param {Array} script - Script blocks from Phase 3
+   * Up to `concurrency` chunks are generated at once, no further than `lookAhead`
+   * chunks past the listener; the queue still fills in script order.
+   * Chunks are delivered through getQueue(), which is closed when generation ends.
+   * @param {Array|AsyncQueue} script - Script blocks from Phase 3, or a queue of blocks
+   *   still being written (a streaming reply); generation ends when it closes
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops generation like stop()
    * @returns {Promise<void>}
    */
-  async generateScript(script) {
+  async generateScript(script, { signal } = {}) {
+    const streaming = !Array.isArray(script);
     console.log('\n[AudioProducer] ========== STARTING STREAMING GENERATION ==========');
     console.log(`[AudioProducer] Provider: ${this.provider}`);
-    console.log(`[AudioProducer] Total blocks: ${script.length}`);
+    console.log(`[AudioProducer] Total blocks: ${streaming ? '(streaming)' : script.length}`);
 
-    this.audioQueue = [];
+    this.abortController = new AbortController();
+    if (signal) signal.addEventListener('abort', () => this.stop(), { once: true });
+    this.audioQueue = new AsyncQueue({ signal: this.abortController.signal });
     this.isGenerating = true;
     this.generatedCount = 0;
-    this.totalBlocks = script.length;
+    this.cachedCount = 0;
+    this.totalBlocks = streaming ? 0 : script.length;
     this.currentBlock = 0;
+    this.settled = new Map();
+    this.pushedJobs = [];
+    this.nextToPush = 0;
+    this.playedCount = 0;
 
     try {
-      // Process blocks sequentially (but push to queue as they complete)
-      for (let i = 0; i < script.length; i++) {
-        await this.processBlock(script[i], i);
+      // Jobs are planned block by block as the script arrives; workers take them in order
+      const jobs = new AsyncQueue({ signal: this.abortController.signal });
+      let jobCount = 0;
+      const plan = async () => {
+        let blockIndex = 0;
+        for await (const block of script) {
+          if (!this.isGenerating) break;
+          if (streaming) this.totalBlocks = blockIndex + 1;
+          this.planBlock(block, blockIndex++, jobCount).forEach(job => {
+            jobs.push(job);
+            jobCount++;
+          });
+        }
+        jobs.close();
+        console.log(`[AudioProducer] ${jobCount} chunk(s), concurrency ${this.concurrency}, look-ahead ${this.lookAhead}`);
+      };
+
+      const worker = async () => {
+        while (this.isGenerating) {
+          const { value: job, done } = await jobs.next();
+          if (done) return;
+          await this.waitForWindow(job.jobIndex);
+          if (!this.isGenerating) return;
+
+          this.settled.set(job.jobIndex, await this.generateChunk(job));
+          if (!this.isGenerating) return; // Stopped while generating
+          this.flushSettled();
+        }
+      };
+
+      // Idle workers finish as soon as the job queue closes
+      const workerCount = Math.max(1, this.concurrency);
+      await Promise.all([plan(), ...Array.from({ length: workerCount }, worker)]);
+
+      if (this.abortController.signal.aborted) {
+        console.log('[AudioProducer] Generation stopped');
+        return;
       }
 
       console.log('\n[AudioProducer] ========== GENERATION COMPLETE ==========');
       console.log(`[AudioProducer] Generated ${this.generatedCount} audio chunk(s)`);
-      console.log(`[AudioProducer] Queue size: ${this.audioQueue.length}`);
+      console.log(`[AudioProducer] Queue size: ${this.audioQueue.size}`);
 
       this.isGenerating = false;
+      this.audioQueue.close();
 
       // Complete callback
       if (this.onComplete) {
         this.onComplete({
           totalChunks: this.generatedCount,
-          queueSize: this.audioQueue.length
+          queueSize: this.audioQueue.size
         });
       }
 
     } catch (error) {
       console.error('[AudioProducer] Fatal error during generation:', error);
       this.isGenerating = false;
+      this.audioQueue.close();
       throw error;
     }
   }
@@ -1420,7 +2379,7 @@ class AudioProducer {
   /**
    * Get current queue
    * Safe to call while generation is in progress
-   * @returns {Array} Current audio queue
+   * @returns {AsyncQueue} Chunks in script order; closed when generation ends
    */
   getQueue() {
     return this.audioQueue;
@@ -1436,19 +2395,21 @@ class AudioProducer {
       generatedCount: this.generatedCount,
       totalBlocks: this.totalBlocks,
       currentBlock: this.currentBlock,
-      queueSize: this.audioQueue.length
+      queueSize: this.audioQueue.size
     };
   }
 
   /**
-   * Clear the queue and stop generation
+   * Stop generation: cancels in-flight requests and aborts the queue
    */
   stop() {
     console.log('[AudioProducer] Stopping generation');
     this.isGenerating = false;
-    this.audioQueue = [];
+    this.abortController.abort(); // Also aborts the queue
+    this.settled.clear();
     this.generatedCount = 0;
     this.currentBlock = 0;
+    this.wakeWindowWaiters();
   }
 }
 
@@ -1511,10 +2472,16 @@ class AudioConsumer {
   constructor(producer) {
     this.producer = producer;
     this.isPlaying = false;
+    this.isPaused = false;
     this.currentIndex = 0;
     this.isStopped = false;
     this.currentAudioSource = null; // Web Audio API source
-    this.audioContext = null; // Web Audio API context
+    this.currentStart = null; // AudioEngine.startSource() record of the current source
+
+    // Every chunk taken from the queue, in script order, so jumps can go back
+    this.history = [];
+    this.position = -1; // History index of the chunk playing
+    this.jump = null; // { position, offset, minBlock } requested by jumpBlock()/seek()
 
     // Callbacks
     this.onPlayStart = null;
@@ -1529,9 +2496,10 @@ class AudioConsumer {
    * Play a single audio chunk
    * Handles both Web Speech utterances and AudioBuffers
    * @param {Object} queueItem - Item from audioQueue
+   * @param {number} [offset] - Seconds into an AudioBuffer to start from
    * @returns {Promise<void>}
    */
-  async playChunk(queueItem) {
+  async playChunk(queueItem, offset = 0) {
     console.log(`\n[AudioConsumer] Playing chunk ${this.currentIndex + 1}`);
     console.log(`[AudioConsumer] Type: ${queueItem.type}, Speaker: ${queueItem.speaker}`);
     console.log(`[AudioConsumer] Text: "${queueItem.text.substring(0, 50)}..."`);
@@ -1554,7 +2522,12 @@ class AudioConsumer {
         await this.playWebSpeech(audioData.utterance);
       } else if (audioData.type === 'audio_buffer') {
         // Play using Web Audio API
-        await this.playAudioBuffer(audioData.audioBuffer);
+        await this.playAudioBuffer(audioData.audioBuffer, {
+          voice: queueItem.voice,
+          rate: audioData.playbackRate,
+          volume: queueItem.volume,
+          offset
+        });
       } else {
         throw new Error(`Unknown audio type: ${audioData.type}`);
       }
@@ -1605,6 +2578,11 @@ class AudioConsumer {
       };
 
       utterance.onerror = (e) => {
+        // cancel() from skip()/stop() surfaces as an error, not a failure
+        if (e.error === 'interrupted' || e.error === 'canceled') {
+          resolve();
+          return;
+        }
         console.error('[AudioConsumer] Web Speech error:', e);
         reject(e);
       };
@@ -1617,9 +2595,14 @@ class AudioConsumer {
   /**
    * Play audio using Web Audio API
    * @param {AudioBuffer} audioBuffer
+   * @param {Object} [options]
+   * @param {string} [options.voice] - Voice ID (selects its gain node)
+   * @param {number} [options.rate] - Playback rate (providers that didn't apply the speed themselves)
+   * @param {number} [options.volume]
+   * @param {number} [options.offset] - Seconds into the buffer to start from
    * @returns {Promise<void>}
    */
-  playAudioBuffer(audioBuffer) {
+  playAudioBuffer(audioBuffer, { voice, rate, volume, offset = 0 } = {}) {
     return new Promise((resolve, reject) => {
       // Check if stopped
       if (this.isStopped) {
@@ -1627,79 +2610,83 @@ class AudioConsumer {
         return;
       }
 
-      // Create audio context if needed
-      if (!this.audioContext) {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      }
-
-      // Create source
-      const source = this.audioContext.createBufferSource();
-      source.buffer = audioBuffer;
-      source.connect(this.audioContext.destination);
+      const source = AudioEngine.createSource(audioBuffer, { voice, rate, volume });
 
       this.currentAudioSource = source;
 
       source.onended = () => {
         this.currentAudioSource = null;
+        this.currentStart = null;
         resolve();
       };
 
       console.log('[AudioConsumer] Playing with Web Audio API...');
-      source.start(0);
+      this.currentStart = AudioEngine.startSource(source, offset);
     });
   }
 
   /**
    * Main playback loop - consumes queue sequentially
-   * Continues until queue is empty AND producer is done
+   * Ends when the producer closes the queue and it is drained, or on stop
    */
   async playbackLoop() {
     console.log('\n[AudioConsumer] ========== STARTING PLAYBACK LOOP ==========');
 
-    while (true) {
-      // Check if stopped
-      if (this.isStopped) {
-        console.log('[AudioConsumer] Playback stopped by user');
-        break;
-      }
-
-      const queue = this.producer.getQueue();
-      const producerState = this.producer.getState();
+    const queue = this.producer.getQueue();
+    let next = { position: 0, offset: 0, minBlock: 0 };
 
-      // Check if we have a chunk to play
-      if (this.currentIndex < queue.length) {
-        const chunk = queue[this.currentIndex];
+    while (!this.isStopped) {
+      // Wait for next chunk to be generated (unless it's one we've already had)
+      if (next.position >= this.history.length) {
+        const { value, done } = await queue.next();
+        if (done) {
+          console.log('[AudioConsumer] All chunks played, producer finished');
+          break;
+        }
+        this.history.push(value);
+        if (this.isStopped) break;
+        // Let a jump requested while we waited take over
+        if (this.jump) {
+          next = this.takeJump();
+          continue;
+        }
+      }
 
-        // Play this chunk
-        await this.playChunk(chunk);
+      const chunk = this.history[next.position];
 
-        this.currentIndex++;
+      // Skipped over by jumpBlock() before it was generated
+      if (chunk.blockIndex < next.minBlock) {
+        next = { ...next, position: next.position + 1, offset: 0 };
+        this.producer.markPlayed(Math.max(this.producer.playedCount, next.position));
+        continue;
+      }
 
-        // Progress callback
-        if (this.onProgress) {
-          this.onProgress({
-            currentIndex: this.currentIndex,
-            totalGenerated: queue.length,
-            isGenerating: producerState.isGenerating
-          });
-        }
+      // Don't start the next chunk while paused
+      await AudioEngine.whenResumed();
+      if (this.isStopped) break;
 
-      } else {
-        // No chunk available yet
+      // Play this chunk
+      this.position = next.position;
+      await this.playChunk(chunk, next.offset);
 
-        // Check if producer is done
-        if (!producerState.isGenerating) {
-          // Producer is done AND we've played all chunks
-          console.log('[AudioConsumer] All chunks played, producer finished');
-          break;
-        }
+      this.currentIndex++;
+      this.producer.markPlayed(Math.max(this.producer.playedCount, this.position + 1));
+      next = this.takeJump() || { position: this.position + 1, offset: 0, minBlock: next.minBlock };
 
-        // Wait for next chunk to be generated
-        console.log('[AudioConsumer] Waiting for next chunk...');
-        await this.sleep(100); // Poll every 100ms
+      // Progress callback
+      if (this.onProgress) {
+        this.onProgress({
+          currentIndex: this.currentIndex,
+          totalGenerated: this.producer.generatedCount,
+          isGenerating: this.producer.isGenerating
+        });
       }
     }
 
+    if (this.isStopped) {
+      console.log('[AudioConsumer] Playback stopped by user');
+    }
+
     console.log('[AudioConsumer] ========== PLAYBACK COMPLETE ==========');
     this.isPlaying = false;
 
@@ -1726,44 +2713,167 @@ class AudioConsumer {
     this.isPlaying = true;
     this.isStopped = false;
     this.currentIndex = 0;
+    this.history = [];
+    this.position = -1;
+    this.jump = null;
 
     // Callback: playback start
     if (this.onPlayStart) {
       this.onPlayStart();
     }
 
-    // Start playback loop
-    await this.playbackLoop();
+    // Start playback loop
+    await this.playbackLoop();
+  }
+
+  /**
+   * Stop playback immediately
+   */
+  stop() {
+    console.log('[AudioConsumer] Stopping playback...');
+
+    this.isStopped = true;
+    this.isPlaying = false;
+    this.resume(); // Release the loop and the suspended context
+
+    // Stop Web Speech
+    if (window.speechSynthesis.speaking) {
+      window.speechSynthesis.cancel();
+    }
+
+    // Stop Web Audio
+    if (this.currentAudioSource) {
+      try {
+        this.currentAudioSource.stop();
+      } catch (e) {
+        // Already stopped
+      }
+      this.currentAudioSource = null;
+    }
+
+    // Stop generation (cancels requests and releases the waiting loop)
+    this.producer.stop();
+
+    console.log('[AudioConsumer] Playback stopped');
+  }
+
+  /**
+   * Pause in place (Web Speech utterance or suspended audio context)
+   */
+  pause() {
+    if (!this.isPlaying || this.isPaused) return;
+
+    console.log(`[AudioConsumer] Pausing at chunk ${this.currentIndex + 1}`);
+    this.isPaused = true;
+    AudioEngine.pause();
+    if (window.speechSynthesis.speaking) {
+      window.speechSynthesis.pause();
+    }
+  }
+
+  resume() {
+    if (!this.isPaused) return;
+
+    console.log(`[AudioConsumer] Resuming at chunk ${this.currentIndex + 1}`);
+    this.isPaused = false;
+    window.speechSynthesis.resume();
+    AudioEngine.resume();
+  }
+
+  /**
+   * @returns {Object|null} The pending jump, cleared
+   */
+  takeJump() {
+    const jump = this.jump;
+    this.jump = null;
+    return jump;
+  }
+
+  /**
+   * Continue at a history position, ending the current chunk early
+   * @param {number} position - Index into history (may be the next ungenerated chunk)
+   * @param {Object} [options]
+   * @param {number} [options.offset] - Seconds into an AudioBuffer
+   * @param {number} [options.minBlock] - Skip queued chunks of earlier blocks
+   */
+  jumpTo(position, { offset = 0, minBlock = 0 } = {}) {
+    if (!this.isPlaying) return;
+    this.jump = { position: Math.max(0, position), offset, minBlock };
+    this.skip();
+  }
+
+  /**
+   * Move to the start of the next/previous script block
+   * @param {number} offset - -1 previous block, 1 next block
+   */
+  jumpBlock(offset) {
+    const current = this.history[this.position];
+    if (!current) return;
+
+    if (offset > 0) {
+      const position = this.history.findIndex((chunk, i) => i > this.position && chunk.blockIndex > current.blockIndex);
+      if (position !== -1) {
+        this.jumpTo(position);
+      } else {
+        // Not generated yet: take from the queue, dropping the rest of this block
+        this.jumpTo(this.history.length, { minBlock: current.blockIndex + 1 });
+      }
+      return;
+    }
+
+    // First chunk of the closest earlier block that was generated
+    const earlier = this.history.slice(0, this.position).filter(chunk => chunk.blockIndex < current.blockIndex);
+    const targetBlock = earlier.length > 0 ? earlier[earlier.length - 1].blockIndex : current.blockIndex;
+    this.jumpTo(this.history.findIndex(chunk => chunk.blockIndex === targetBlock));
+  }
+
+  /**
+   * Seek within the current chunk, spilling into the neighbouring chunk at its edges
+   * Web Speech chunks can't seek, so they restart or skip instead.
+   * @param {number} seconds - Positive to go forward, negative to go back
+   */
+  seek(seconds) {
+    if (this.position < 0) return;
+
+    if (!this.currentStart) {
+      this.jumpTo(seconds > 0 ? this.position + 1 : this.position);
+      return;
+    }
+
+    const { source } = this.currentStart;
+    const duration = source.buffer.duration;
+    const position = AudioEngine.getSourcePosition(this.currentStart) + seconds * source.playbackRate.value;
+    if (position >= duration) {
+      this.jumpTo(this.position + 1);
+    } else if (position >= 0 || this.position === 0) {
+      this.jumpTo(this.position, { offset: Math.max(0, position) });
+    } else {
+      const previous = this.history[this.position - 1].audio;
+      const previousDuration = previous.audioBuffer ? previous.audioBuffer.duration : 0;
+      this.jumpTo(this.position - 1, { offset: Math.max(0, previousDuration + position) });
+    }
   }
 
   /**
-   * Stop playback immediately
+   * Skip the chunk currently playing
+   * Ending the current utterance/source lets the playback loop move on
    */
-  stop() {
-    console.log('[AudioConsumer] Stopping playback...');
+  skip() {
+    if (!this.isPlaying) return;
 
-    this.isStopped = true;
-    this.isPlaying = false;
+    console.log(`[AudioConsumer] Skipping chunk ${this.currentIndex + 1}`);
 
-    // Stop Web Speech
     if (window.speechSynthesis.speaking) {
       window.speechSynthesis.cancel();
     }
 
-    // Stop Web Audio
     if (this.currentAudioSource) {
       try {
         this.currentAudioSource.stop();
       } catch (e) {
         // Already stopped
       }
-      this.currentAudioSource = null;
     }
-
-    // Clear producer queue
-    this.producer.stop();
-
-    console.log('[AudioConsumer] Playback stopped');
   }
 
   /**
@@ -1771,13 +2881,14 @@ class AudioConsumer {
    * @returns {Object}
    */
   getState() {
-    const queue = this.producer.getQueue();
     const producerState = this.producer.getState();
 
     return {
       isPlaying: this.isPlaying,
+      isPaused: this.isPaused,
       currentIndex: this.currentIndex,
-      totalGenerated: queue.length,
+      position: this.position,
+      totalGenerated: producerState.generatedCount,
       isGenerating: producerState.isGenerating,
       isStopped: this.isStopped
     };
@@ -2071,18 +3182,18 @@ class CinematicExperienceOrchestrator {
     // Active components
     this.orchestrator = null; // CinematicVoiceOrchestrator instance
 
-    // Initialize
-    this.initialize();
+    // Initialize (play() waits for settings to load)
+    this.ready = this.initialize();
   }
 
   /**
    * Initialize orchestrator
    */
-  initialize() {
+  async initialize() {
     console.log('[ExperienceOrchestrator] Initializing...');
 
     // Load settings
-    this.loadSettings();
+    await this.loadSettings();
 
     // Check premium status
     this.checkPremiumStatus();
@@ -2095,9 +3206,10 @@ class CinematicExperienceOrchestrator {
   /**
    * Load settings from storage
    */
-  loadSettings() {
-    const provider = StorageManager.get('provider', CONFIG.DEFAULTS.provider);
-    const cinematicEnabled = StorageManager.get('cinematicMode', false);
+  async loadSettings() {
+    await SettingsManager.load();
+    const provider = SettingsManager.get('provider');
+    const cinematicEnabled = SettingsManager.get('cinematicMode');
 
     this.stateManager.setState({
       currentProvider: provider,
@@ -2143,7 +3255,7 @@ class CinematicExperienceOrchestrator {
     });
 
     // Save to storage
-    StorageManager.set('cinematicMode', newState);
+    SettingsManager.set('cinematicMode', newState);
 
     return newState;
   }
@@ -2174,7 +3286,7 @@ class CinematicExperienceOrchestrator {
       currentProvider: provider
     });
 
-    StorageManager.set('provider', provider);
+    SettingsManager.set('provider', provider);
   }
 
   /**
@@ -2184,6 +3296,7 @@ class CinematicExperienceOrchestrator {
   async play(storyText, options = {}) {
     console.log('\n[ExperienceOrchestrator] ========== PLAY REQUEST ==========');
     console.log('[ExperienceOrchestrator] Text length:', storyText.length);
+    await this.ready;
     console.log('[ExperienceOrchestrator] Cinematic mode:', this.stateManager.state.isCinematicModeEnabled);
 
     // Check if already active
@@ -2988,43 +4101,601 @@ async function testExperienceOrchestration() {
   const enabled = CinematicVoiceAPI.toggleCinematicMode();
   console.log('Cinematic mode enabled:', enabled);
 
-  // Test 3: Play with cinematic mode
-  console.log('\n--- TEST 3: Play with Cinematic Mode ---');
-  const testText = 'Jack stood up. "Hello everyone!" Emily smiled. "Hi Jack!"';
+  // Test 3: Play with cinematic mode
+  console.log('\n--- TEST 3: Play with Cinematic Mode ---');
+  const testText = 'Jack stood up. "Hello everyone!" Emily smiled. "Hi Jack!"';
+
+  try {
+    await CinematicVoiceAPI.play(testText);
+    console.log('Playback completed successfully');
+  } catch (e) {
+    console.error('Playback failed:', e);
+  }
+
+  // Test 4: Check final state
+  console.log('\n--- TEST 4: Final State ---');
+  console.log('State:', CinematicVoiceAPI.getState());
+
+  // Cleanup
+  unsubscribe();
+
+  console.log('\n========================================');
+  console.log('EXPERIENCE ORCHESTRATION TEST COMPLETE');
+  console.log('========================================\n');
+}
+
+// Uncomment to run Phase 6 tests:
+// testExperienceOrchestration();
+
+// ============================================================================
+
+// ============================================================================
+// TTS ENGINE
+// ============================================================================
+
+/**
+ * Guess a voice's gender from its id/name
+ * Handles explicit words ("hfc_female"), Kokoro-style prefixes (af_/bf_ female,
+ * am_/bm_ male) and person names from NAME_DATASETS ("en_US-amy-low" -> Amy)
+ * @param {string} voiceName - Voice id or display name
+ * @returns {string|null} "male", "female" or null if unknown
+ */
+function guessVoiceGender(voiceName) {
+  const name = String(voiceName || '');
+
+  if (/(^|[^a-z])female([^a-z]|$)/i.test(name)) return 'female';
+  if (/(^|[^a-z])male([^a-z]|$)/i.test(name)) return 'male';
+  if (/^[a-z]f_/i.test(name)) return 'female';
+  if (/^[a-z]m_/i.test(name)) return 'male';
+
+  const words = name.split(/[^A-Za-z]+/).filter(w => w.length > 1);
+  for (const word of words) {
+    const candidate = word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    if (NAME_DATASETS.female.includes(candidate)) return 'female';
+    if (NAME_DATASETS.male.includes(candidate)) return 'male';
+  }
+
+  return null;
+}
+
+/**
+ * Base class for TTS providers
+ *
+ * A provider is a single subclass: static metadata describing it (id, labels,
+ * capabilities, settings fields) plus synthesize(). Normal playback (speak) and
+ * the cinematic AudioProducer both call synthesize(), and UIPanel builds the
+ * provider tab and settings section from the static metadata.
+ *
+ * HTTP providers only implement fetchAudio() (through TTSBroker); the base class
+ * decodes and plays the result.
+ */
+class TTSEngine {
+  static id = '';
+  static label = '';           // Full name (status/errors)
+  static tabLabel = '';        // Short name for the UIPanel tab
+  static badge = { text: 'Pro', type: 'premium' };
+  static capabilities = {
+    pause: true,               // Can pause/resume mid-utterance
+    wordTimestamps: false,     // Reports word boundaries (highlighting)
+    streaming: false,          // Audio starts before synthesis finishes
+    voiceListing: false,       // Voices are fetched from the provider
+    rate: false,               // Honors speed
+    pitch: false               // Honors pitch
+  };
+  // [{ key, type: 'secret' | 'text' | 'textarea' | 'select', label, placeholder, secret?, optional?, options?, default? }]
+  // 'secret' fields name a CONFIG.SECRET_SETTINGS entry held by the background worker
+  static settingsFields = [];
+  static defaultVoice = null;
+  static maxChunkLength = 900;
+
+  constructor() {
+    this.voices = [];
+    this.config = {};
+    this.keyStatus = {};
+    this.currentSource = null;
+    this.currentUtterance = null; // Web Speech fallback chunk
+    this.activeSpeak = null; // AbortController of the speak() call allowed to keep playing
+    this.playback = null; // { index, results, started, jump } of the chunk speak() is on
+    this.paused = false;
+  }
+
+  get id() { return this.constructor.id; }
+  get label() { return this.constructor.label; }
+  get capabilities() { return this.constructor.capabilities; }
+
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Apply stored provider settings
+   * @param {Object} config - Values for this provider's 'text' settings fields
+   * @param {Object<string, boolean>} keyStatus - Which secrets are saved
+   */
+  configure(config = {}, keyStatus = {}) {
+    this.config = {};
+    this.constructor.settingsFields
+      .filter(f => f.type !== 'secret')
+      .forEach(f => {
+        this.config[f.key] = config[f.key] !== undefined && config[f.key] !== '' ? config[f.key] : f.default;
+      });
+    this.keyStatus = keyStatus;
+  }
+
+  /**
+   * @returns {boolean} All required (non-optional) secrets are saved
+   */
+  isConfigured() {
+    return this.constructor.settingsFields
+      .filter(f => f.type === 'secret' && !f.optional)
+      .every(f => this.keyStatus[f.secret]);
+  }
+
+  getVoices() { return this.voices; }
+
+  // Providers with capabilities.voiceListing refresh this.voices here
+  async fetchVoices() { }
+
+  /**
+   * Parse a configured voice list ("id:gender, id:gender") into voice objects
+   * Entries without a gender go through guessVoiceGender()
+   * @param {string} list
+   * @returns {Array<{name: string, voiceURI: string, gender: string|null, provider: string}>}
+   */
+  parseVoiceList(list) {
+    return String(list || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [id, genderHint] = entry.split(':').map(part => part.trim());
+        let gender = guessVoiceGender(id);
+        if (/^(f|female)$/i.test(genderHint)) gender = 'female';
+        else if (/^(m|male)$/i.test(genderHint)) gender = 'male';
+        return this.createVoice(id, gender);
+      });
+  }
+
+  createVoice(id, gender, name = id) {
+    return {
+      name: gender ? `${name} (${gender === 'female' ? 'Female' : 'Male'})` : name,
+      voiceURI: id,
+      lang: 'en-US',
+      gender: gender,
+      provider: this.id
+    };
+  }
+
+  /**
+   * Split voices into gender buckets for cinematic casting
+   * Uses voice.gender when the provider knows it
+   * @param {Array} voices
+   * @returns {{male: Array, female: Array}}
+   */
+  categorizeVoices(voices) {
+    return {
+      male: voices.filter(v => v.gender === 'male'),
+      female: voices.filter(v => v.gender === 'female')
+    };
+  }
+
+  /**
+   * Fetch encoded audio for one chunk (HTTP providers)
+   * @param {string} text - Chunk text
+   * @param {string} voiceURI - Provider voice id
+   * @param {Object} options - { rate, pitch, volume }
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async fetchAudio(text, voiceURI, options) {
+    throw new Error(`${this.label} does not implement fetchAudio()`);
+  }
+
+  /**
+   * Generate playable audio for one chunk
+   * @param {string} text - Chunk text
+   * @param {Object} options - { voiceURI, rate, pitch, volume }
+   * @returns {Promise<{type: string, text: string}>} 'audio_buffer' (audioBuffer) or 'web_speech_utterance' (utterance)
+   */
+  async synthesize(text, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.label} API key not configured`);
+    }
+
+    const voiceURI = options.voiceURI || this.constructor.defaultVoice;
+    const cacheKey = await AudioCache.key({
+      provider: this.id,
+      voice: voiceURI,
+      settings: this.getCacheSettings(options),
+      text: text
+    });
+
+    let arrayBuffer = await AudioCache.get(cacheKey);
+    const cached = !!arrayBuffer;
+
+    if (cached) {
+      console.log(`[Janitor Voice] ${this.label}: Cache hit (${arrayBuffer.byteLength} bytes)`);
+    } else {
+      arrayBuffer = await this.fetchAudio(text, voiceURI, options);
+
+      if (arrayBuffer.byteLength === 0) {
+        throw new Error(`${this.label} returned empty audio`);
+      }
+
+      console.log(`[Janitor Voice] ${this.label}: Received ${arrayBuffer.byteLength} bytes`);
+      AudioCache.put(cacheKey, this.id, arrayBuffer);
+    }
+
+    const audioBuffer = await AudioEngine.decode(arrayBuffer);
+
+    return {
+      type: 'audio_buffer',
+      audioBuffer: audioBuffer,
+      playbackRate: this.getPlaybackRate(options), // Speed still to apply when playing
+      text: text,
+      cached: cached
+    };
+  }
+
+  /**
+   * Settings that change the generated audio (part of the cache key)
+   * Only the part of the rate sent with the request counts; speed applied at
+   * playback time reuses the same audio.
+   */
+  getCacheSettings(options = {}) {
+    const requestRate = (options.rate || 1.0) / this.getPlaybackRate(options);
+    return { ...this.config, rate: Math.round(requestRate * 100) / 100 };
+  }
+
+  /**
+   * Normal (single-voice) playback: synthesize and play chunk by chunk
+   * options.fallbacks (TTSEngine[]) are tried per chunk when this provider fails,
+   * reported through options.onFallback; options.onCacheHit fires for cached chunks.
+   * onEnd receives the error if nothing could play.
+   * jumpBlock()/seek() move between chunks; generated chunks are kept for revisits.
+   */
+  async speak(text, options, onEnd, onBoundary, onProgress) {
+    this.cancel();
+    const token = new AbortController(); // cancel() aborts in-flight requests
+    this.activeSpeak = token;
+
+    const engines = [this, ...(options.fallbacks || [])];
+
+    try {
+      // Split text into chunks if needed
+      const chunks = smartSplit(text, this.constructor.maxChunkLength);
+      const totalChunks = chunks.length;
+      const results = [];
+
+      console.log(`[Janitor Voice] ${this.label}: Processing ${totalChunks} chunk(s)`);
+
+      // Process chunks sequentially (a jump picks the next index and offset)
+      let position = { index: 0, offset: 0 };
+      while (position.index < totalChunks) {
+        const i = position.index;
+        const chunkNum = i + 1;
+        this.playback = { index: i, results, started: null, jump: null };
+
+        if (!results[i]) {
+          // Update progress
+          if (onProgress && totalChunks > 1) {
+            onProgress(`Generating voice (${chunkNum}/${totalChunks})...`);
+          }
+
+          console.log(`[Janitor Voice] ${this.label}: Generating chunk ${chunkNum}/${totalChunks}, length: ${chunks[i].length}`);
+
+          // Fallback providers use their default voice
+          results[i] = await TTSRegistry.synthesizeWithFallback(
+            engines,
+            chunks[i],
+            (engine) => ({ ...options, voiceURI: engine === this ? options.voiceURI : null, signal: token.signal }),
+            options.onFallback
+          );
+          if (this.activeSpeak !== token) return; // Cancelled while generating
+          if (results[i].cached && options.onCacheHit) options.onCacheHit(results[i]);
+        }
+
+        if (!this.playback.jump) {
+          // Update progress
+          if (onProgress && totalChunks > 1) {
+            onProgress(`Playing (${chunkNum}/${totalChunks})...`);
+          }
+
+          await AudioEngine.whenResumed(); // Paused while generating
+          if (this.activeSpeak !== token) return;
+
+          console.log(`[Janitor Voice] ${this.label}: Playing chunk ${chunkNum}/${totalChunks}`);
+          await this.playResult(results[i], options, position.offset);
+          if (this.activeSpeak !== token) return;
+        }
+
+        position = this.playback.jump || { index: i + 1, offset: 0 };
+      }
+      this.playback = null;
+
+      if (this.activeSpeak !== token) return; // Cancelled during the last chunk
+      this.activeSpeak = null;
+      console.log(`[Janitor Voice] ${this.label}: All chunks completed`);
+      if (onEnd) onEnd();
+
+    } catch (e) {
+      if (this.activeSpeak !== token) return;
+      this.activeSpeak = null;
+      console.error(`[Janitor Voice] ${this.label} Speak Error:`, e);
+      if (onEnd) onEnd(e);
+    }
+  }
+
+  /**
+   * Play a synthesize() result (ours, or a fallback provider's)
+   * @param {number} [offset] - Seconds into an audio buffer to start from
+   */
+  playResult(audio, options, offset = 0) {
+    if (audio.type === 'web_speech_utterance') {
+      return this.playUtterance(audio.utterance, options);
+    }
+    return this.playBuffer(audio.audioBuffer, options, offset);
+  }
+
+  /**
+   * Speak a Web Speech fallback utterance and wait for it to finish
+   */
+  playUtterance(utterance, options = {}) {
+    return new Promise((resolve) => {
+      utterance.rate = options.rate || 1.0;
+      utterance.pitch = options.pitch || 1.0;
+      utterance.volume = options.volume !== undefined ? options.volume : 1.0;
+      utterance.onend = () => {
+        this.currentUtterance = null;
+        resolve();
+      };
+      // Includes 'interrupted' from cancel()/skip()
+      utterance.onerror = () => {
+        this.currentUtterance = null;
+        resolve();
+      };
+      this.currentUtterance = utterance;
+      window.speechSynthesis.speak(utterance);
+    });
+  }
+
+  /**
+   * Play a decoded buffer and wait for it to finish
+   */
+  playBuffer(audioBuffer, options = {}, offset = 0) {
+    return new Promise((resolve, reject) => {
+      const source = AudioEngine.createSource(audioBuffer, {
+        voice: options.voiceURI,
+        rate: this.getPlaybackRate(options),
+        volume: options.volume !== undefined ? options.volume : 1.0
+      });
+      this.currentSource = source;
+
+      source.onended = () => {
+        this.currentSource = null;
+        resolve();
+      };
+
+      source.onerror = (e) => {
+        console.error('[Janitor Voice] Audio playback error:', e);
+        reject(e);
+      };
+
+      const started = AudioEngine.startSource(source, offset);
+      if (this.playback) this.playback.started = started;
+    });
+  }
+
+  /**
+   * Speed applied at playback time
+   * Providers that send the rate with the request override this to return 1
+   */
+  getPlaybackRate(options = {}) {
+    return options.rate || 1.0;
+  }
+
+  /**
+   * Move to another chunk of the current speak() call
+   * Past the last chunk ends playback; before the first restarts it.
+   * @param {number} offset - Chunks to move (-1 previous, 1 next)
+   */
+  jumpBlock(offset) {
+    if (!this.playback) return;
+    const index = Math.max(0, this.playback.index + offset);
+    this.jumpTo({ index, offset: 0 });
+  }
+
+  /**
+   * Seek within the current chunk, spilling into the neighbouring chunk at its edges
+   * Web Speech fallback chunks can't seek, so they restart or skip instead.
+   * @param {number} seconds - Positive to go forward, negative to go back
+   */
+  seek(seconds) {
+    if (!this.playback) return;
+    const { index, results, started } = this.playback;
+
+    if (!started || !this.currentSource) {
+      this.jumpBlock(seconds > 0 ? 1 : 0);
+      return;
+    }
+
+    const position = AudioEngine.getSourcePosition(started) + seconds * started.source.playbackRate.value;
+    if (position >= started.source.buffer.duration) {
+      this.jumpTo({ index: index + 1, offset: 0 });
+    } else if (position >= 0 || index === 0) {
+      this.jumpTo({ index, offset: Math.max(0, position) });
+    } else {
+      // Land the remainder in the previous chunk when it is a buffer
+      const previous = results[index - 1];
+      const duration = previous && previous.audioBuffer ? previous.audioBuffer.duration : 0;
+      this.jumpTo({ index: index - 1, offset: Math.max(0, duration + position) });
+    }
+  }
+
+  // Ask speak() to continue at a position, ending the current chunk early
+  jumpTo(position) {
+    this.playback.jump = position;
+    this.skip();
+  }
+
+  /**
+   * Pause the current chunk in place; speak() holds back the next one until resume()
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    AudioEngine.pause();
+    if (this.currentUtterance) window.speechSynthesis.pause();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.currentUtterance) window.speechSynthesis.resume();
+    AudioEngine.resume();
+  }
+
+  cancel() {
+    if (this.activeSpeak) this.activeSpeak.abort();
+    this.activeSpeak = null;
+    this.playback = null;
+    this.resume(); // A paused context/synth would hold the next playback
+    if (this.currentUtterance) {
+      window.speechSynthesis.cancel();
+      this.currentUtterance = null;
+    }
+    if (this.currentSource) {
+      try {
+        this.currentSource.stop();
+      } catch (e) {
+        // Source may have already ended
+      }
+      this.currentSource = null;
+    }
+  }
+
+  // Stop the current chunk only; speak() carries on with the next one
+  skip() {
+    if (this.currentUtterance) {
+      window.speechSynthesis.cancel();
+    }
+    if (this.currentSource) {
+      try {
+        this.currentSource.stop();
+      } catch (e) {
+        // Source may have already ended
+      }
+    }
+  }
+}
+
+/**
+ * Provider registry - the single list of available TTS providers
+ * Holds one shared engine instance per provider.
+ */
+const TTSRegistry = {
+  engines: new Map(),
+
+  register(EngineClass) {
+    this.engines.set(EngineClass.id, new EngineClass());
+  },
+
+  has(id) {
+    return this.engines.has(id);
+  },
+
+  /**
+   * @param {string} id - Provider id
+   * @returns {TTSEngine|undefined}
+   */
+  get(id) {
+    return this.engines.get(id);
+  },
+
+  list() {
+    return Array.from(this.engines.values());
+  },
+
+  /**
+   * Providers to try for a chunk: the active one, then the configured fallbacks
+   * @param {string} providerId - Active provider
+   * @param {string[]} [fallbackChain] - Fallback provider ids, in order
+   * @returns {TTSEngine[]}
+   */
+  getChain(providerId, fallbackChain = []) {
+    return [providerId, ...fallbackChain]
+      .filter((id, index, ids) => this.has(id) && ids.indexOf(id) === index)
+      .map(id => this.get(id));
+  },
 
-  try {
-    await CinematicVoiceAPI.play(testText);
-    console.log('Playback completed successfully');
-  } catch (e) {
-    console.error('Playback failed:', e);
-  }
+  /**
+   * Synthesize one chunk, moving down the chain until a provider succeeds
+   * @param {TTSEngine[]} engines - From getChain()
+   * @param {string} text - Chunk text
+   * @param {function(TTSEngine): Object} getOptions - synthesize() options for each provider
+   * @param {function({from: TTSEngine, to: TTSEngine, error: Error})} [onFallback]
+   * @param {Object} [policy]
+   * @param {boolean} [policy.fallbackOnThrottle] - false: rethrow rate limits so the caller can wait instead
+   * @returns {Promise<Object>} synthesize() result, with .provider set to the id used
+   * @throws {Error} The active provider's error when every provider fails
+   */
+  async synthesizeWithFallback(engines, text, getOptions, onFallback, { fallbackOnThrottle = true } = {}) {
+    let firstError = null;
 
-  // Test 4: Check final state
-  console.log('\n--- TEST 4: Final State ---');
-  console.log('State:', CinematicVoiceAPI.getState());
+    for (const engine of engines) {
+      try {
+        if (!engine.isConfigured()) {
+          throw new TTSRequestError(`${engine.label} is not configured`, { provider: engine.label, code: 'NOT_CONFIGURED' });
+        }
 
-  // Cleanup
-  unsubscribe();
+        const result = await engine.synthesize(text, getOptions(engine));
+        result.provider = engine.id;
 
-  console.log('\n========================================');
-  console.log('EXPERIENCE ORCHESTRATION TEST COMPLETE');
-  console.log('========================================\n');
-}
+        if (firstError && onFallback) {
+          onFallback({ from: engines[0], to: engine, error: firstError });
+        }
+        return result;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error; // Stopped: don't try other providers
+        if (error.throttled && !fallbackOnThrottle) throw error;
+        console.warn(`[Janitor Voice] ${engine.label} failed for chunk:`, error.message);
+        firstError = firstError || error;
+      }
+    }
 
-// Uncomment to run Phase 6 tests:
-// testExperienceOrchestration();
+    throw firstError || new Error('No TTS provider available');
+  },
 
-// ============================================================================
+  /**
+   * Push stored settings into every engine
+   * @param {Object} providerConfig - { [providerId]: { field: value } }
+   * @param {Object<string, boolean>} keyStatus
+   */
+  configureAll(providerConfig = {}, keyStatus = {}) {
+    this.engines.forEach((engine, id) => engine.configure(providerConfig[id], keyStatus));
+  }
+};
 
-// ============================================================================
-// TTS ENGINE
-// ============================================================================
+class WebSpeechTTS extends TTSEngine {
+  static id = 'web_speech';
+  static label = 'Web Speech';
+  static tabLabel = 'Free';
+  static badge = { text: 'Web', type: 'free' };
+  static capabilities = {
+    pause: true,
+    wordTimestamps: true,
+    streaming: true,
+    voiceListing: true,
+    rate: true,
+    pitch: true
+  };
+
+  static CHARS_PER_SECOND = 15; // Typical narration speed at rate 1.0
 
-class WebSpeechTTS {
   constructor() {
+    super();
     this.synth = window.speechSynthesis;
-    this.voices = [];
     this.currentUtterance = null;
+    this.speech = null; // { text, options, onEnd, onBoundary, sentences, charIndex } of speak()
   }
   async initialize() {
     return new Promise((resolve) => {
@@ -3040,76 +4711,235 @@ class WebSpeechTTS {
     });
   }
 
+  async fetchVoices() {
+    this.voices = this.synth.getVoices();
+  }
+
+  getVoices() {
+    if (this.voices.length === 0) this.voices = this.synth.getVoices();
+    return this.voices;
+  }
+
+  /**
+   * Sort browser voices into gender buckets by name
+   * Voice objects carry no gender, so this goes by well-known voice names
+   */
+  categorizeVoices(voices) {
+    const priorityFemale = [];
+    const priorityMale = [];
+    const otherFemale = [];
+    const otherMale = [];
+
+    voices.forEach(v => {
+      const name = v.name;
+
+      // Specific User Requests for Female Voices
+      // 1. Google US English
+      // 2. Google UK English Female
+      // 3. Microsoft Zira
+      if (name === 'Google US English' || name === 'Google UK English Female' || name.includes('Microsoft Zira')) {
+        priorityFemale.push(v);
+        return;
+      }
+
+      // Regex Matchers
+      // Female: Zira, Samantha, Victoria, Google UK Female, etc.
+      if (/Zira|Samantha|Victoria|Google UK English Female|Google US English|Female|Susan|Hazel|Heera|Ravi/i.test(name) && !/Male/i.test(name)) {
+        otherFemale.push(v);
+      }
+      // Male: David, Alex, Mark, Daniel, George, Microsoft, etc.
+      else if (/David|Alex|Mark|Daniel|George|Stefan|Paul|James|Microsoft|Male/i.test(name)) {
+        otherMale.push(v);
+      }
+    });
+
+    // Combine with priority voices first
+    // Sort priority female to match requested order: US -> UK -> Zira
+    priorityFemale.sort((a, b) => {
+      const order = ['Google US English', 'Google UK English Female', 'Microsoft Zira'];
+      const aIndex = order.findIndex(p => a.name.includes(p));
+      const bIndex = order.findIndex(p => b.name.includes(p));
+      return aIndex - bIndex;
+    });
+
+    console.log('[Janitor Voice] Priority Female:', priorityFemale.map(v => v.name));
+
+    return {
+      female: [...priorityFemale, ...otherFemale],
+      male: [...priorityMale, ...otherMale]
+    };
+  }
+
+  /**
+   * Build an utterance for the AudioConsumer to speak later
+   * Web Speech can't render to a buffer, so nothing is spoken here
+   */
+  async synthesize(text, options = {}) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = options.rate || 1.0;
+    utterance.pitch = options.pitch || 1.0;
+    utterance.volume = options.volume !== undefined ? options.volume : 1.0;
+    const voices = this.getVoices();
+
+    if (options.voiceURI && voices.length > 0) {
+      const voice = voices.find(v => v.voiceURI === options.voiceURI);
+      if (voice) {
+        utterance.voice = voice;
+        console.log('[Janitor Voice] ✓ Selected voice:', voice.name, '(', voice.lang, ')');
+      } else {
+        console.log('[Janitor Voice] ⚠ Voice not found:', options.voiceURI);
+      }
+    }
+
+    return {
+      type: 'web_speech_utterance',
+      utterance: utterance,
+      text: text
+    };
+  }
+
   // Updated speak method with onBoundary support
   speak(text, options = {}, onEnd, onBoundary, onProgress) {
     this.cancel();
-    const utterance = new SpeechSynthesisUtterance(text);
+    this.speech = { text, options, onEnd, onBoundary, sentences: sentenceStarts(text), charIndex: 0 };
+    this.speakFrom(0);
+  }
+
+  /**
+   * (Re)start the current speak() text at a character offset
+   * Seeking and sentence jumps replace the utterance; boundary events are
+   * shifted back to offsets in the full text.
+   * @param {number} offset
+   */
+  speakFrom(offset) {
+    const speech = this.speech;
+    if (offset >= speech.text.length) {
+      this.finish();
+      return;
+    }
+
+    const { options } = speech;
+    const utterance = new SpeechSynthesisUtterance(speech.text.slice(offset));
     utterance.rate = options.rate || 1.0;
     utterance.pitch = options.pitch || 1.0;
-    utterance.volume = options.volume || 1.0;
+    utterance.volume = options.volume !== undefined ? options.volume : 1.0;
     if (options.voiceURI) {
       const voice = this.voices.find(v => v.voiceURI === options.voiceURI);
       if (voice) utterance.voice = voice;
     }
 
+    // Replaced utterances report 'interrupted' after the new one starts
     this.currentUtterance = utterance;
+    speech.charIndex = offset;
 
     utterance.onend = () => {
-      if (this.currentUtterance === utterance) {
-        this.currentUtterance = null;
-      }
-      if (onEnd) onEnd();
+      if (this.currentUtterance === utterance) this.finish();
     };
 
     utterance.onerror = (e) => {
+      if (this.currentUtterance !== utterance) return;
       console.error('[Janitor Voice] Speech error', e);
-      if (onEnd) onEnd();
+      this.finish();
     };
 
-    if (onBoundary) {
-      utterance.onboundary = onBoundary;
-    }
+    utterance.onboundary = (event) => {
+      speech.charIndex = offset + event.charIndex;
+      if (speech.onBoundary) speech.onBoundary({ name: event.name, charIndex: speech.charIndex });
+    };
 
+    this.synth.cancel();
     this.synth.speak(utterance);
   }
 
+  finish() {
+    const onEnd = this.speech && this.speech.onEnd;
+    this.cancel();
+    if (onEnd) onEnd();
+  }
+
+  /**
+   * Move by whole sentences within the utterance
+   * @param {number} offset - -1 previous sentence, 1 next sentence
+   */
+  jumpBlock(offset) {
+    if (!this.speech) return;
+    const { sentences, charIndex } = this.speech;
+    let current = 0;
+    while (current + 1 < sentences.length && sentences[current + 1] <= charIndex) current++;
+
+    const target = current + offset;
+    if (target >= sentences.length) {
+      this.finish();
+      return;
+    }
+    this.speakFrom(sentences[Math.max(0, target)]);
+  }
+
+  /**
+   * Web Speech has no timeline, so seconds are converted to characters at the speaking rate
+   * and rounded back to the start of a word
+   * @param {number} seconds
+   */
+  seek(seconds) {
+    if (!this.speech) return;
+    const { text, options, charIndex } = this.speech;
+    let target = Math.round(charIndex + seconds * WebSpeechTTS.CHARS_PER_SECOND * (options.rate || 1.0));
+    if (target >= text.length) {
+      this.finish();
+      return;
+    }
+    target = Math.max(0, target);
+    while (target > 0 && /\S/.test(text[target - 1])) target--;
+    this.speakFrom(target);
+  }
+
   cancel() {
-    this.synth.cancel();
+    this.speech = null;
     this.currentUtterance = null;
+    this.synth.cancel();
   }
 
+  // Skipping moves on to the next sentence
+  skip() { this.jumpBlock(1); }
+
   pause() { this.synth.pause(); }
   resume() { this.synth.resume(); }
   isSpeaking() { return this.synth.speaking; }
-  getVoices() { return this.voices; }
 }
 
-class ElevenLabsTTS {
-  constructor() {
-    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    this.voices = [];
-    this.apiKey = null;
-    this.currentSource = null;
-  }
+class ElevenLabsTTS extends TTSEngine {
+  static id = 'eleven_labs';
+  static label = 'ElevenLabs';
+  static tabLabel = '11Labs';
+  static capabilities = { ...TTSEngine.capabilities, voiceListing: true, rate: true };
+  static settingsFields = [
+    { key: 'apiKey', type: 'secret', secret: 'elevenLabsKey', label: 'API Key', placeholder: 'sk-...' },
+    { key: 'modelId', type: 'text', label: 'Model', placeholder: 'eleven_turbo_v2_5', default: 'eleven_turbo_v2_5' }
+  ];
+  static defaultVoice = '21m00Tcm4TlvDq8ikWAM'; // Rachel
 
-  setApiKey(key) {
-    this.apiKey = key;
-    if (key) this.fetchVoices();
+  configure(config, keyStatus) {
+    super.configure(config, keyStatus);
+    if (!this.isConfigured()) this.voices = [];
+    else if (this.voices.length === 0) this.fetchVoices();
   }
 
   async fetchVoices() {
-    if (!this.apiKey) return;
+    if (!this.isConfigured()) return;
     try {
-      const resp = await fetch('https://api.elevenlabs.io/v1/voices', {
-        headers: { 'xi-api-key': this.apiKey }
+      const data = await TTSBroker.fetchJSON({
+        label: this.label,
+        url: 'https://api.elevenlabs.io/v1/voices',
+        secret: 'elevenLabsKey',
+        headers: { 'xi-api-key': '{{apiKey}}' }
       });
-      const data = await resp.json();
       if (data.voices) {
         this.voices = data.voices.map(v => ({
           name: v.name,
           voiceURI: v.voice_id,
           lang: 'en-US', // ElevenLabs is mostly English focused for basics
-          provider: 'eleven_labs'
+          gender: v.labels && v.labels.gender ? v.labels.gender.toLowerCase() : null,
+          provider: ElevenLabsTTS.id
         }));
       }
     } catch (e) {
@@ -3117,253 +4947,448 @@ class ElevenLabsTTS {
     }
   }
 
-  async speak(text, options, onEnd, onProgress) {
-    this.cancel();
-    if (!this.apiKey) {
-      console.warn('[Janitor Voice] No ElevenLabs API Key');
-      if (onEnd) onEnd();
-      return;
-    }
-
-    try {
-      // Split text into chunks if needed
-      const chunks = smartSplit(text, 900);
-      const totalChunks = chunks.length;
-
-      console.log(`[Janitor Voice] ElevenLabs: Processing ${totalChunks} chunk(s)`);
-
-      // Process chunks sequentially
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const chunkNum = i + 1;
+  async synthesize(text, options = {}) {
+    // Prefer the first listed voice over the hardcoded default
+    const voiceURI = options.voiceURI || (this.voices[0] ? this.voices[0].voiceURI : null);
+    return super.synthesize(text, { ...options, voiceURI });
+  }
 
-        // Update progress
-        if (onProgress && totalChunks > 1) {
-          onProgress(`Generating voice (${chunkNum}/${totalChunks})...`);
+  fetchAudio(text, voiceURI, options) {
+    return TTSBroker.fetchAudio({
+      label: this.label,
+      signal: options.signal,
+      url: `https://api.elevenlabs.io/v1/text-to-speech/${voiceURI}`,
+      method: 'POST',
+      secret: 'elevenLabsKey',
+      headers: {
+        'Content-Type': 'application/json',
+        'xi-api-key': '{{apiKey}}'
+      },
+      body: JSON.stringify({
+        text: text,
+        model_id: this.config.modelId,
+        voice_settings: {
+          stability: 0.5,
+          similarity_boost: 0.75,
+          speed: this.getRequestSpeed(options)
         }
+      })
+    });
+  }
 
-        const voiceId = options.voiceURI || (this.voices[0] ? this.voices[0].voiceURI : '21m00Tcm4TlvDq8ikWAM');
-        const modelId = 'eleven_turbo_v2_5';
-
-        console.log(`[Janitor Voice] ElevenLabs: Generating chunk ${chunkNum}/${totalChunks}, length: ${chunk.length}`);
-
-        const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'xi-api-key': this.apiKey
-          },
-          body: JSON.stringify({
-            text: chunk,
-            model_id: modelId,
-            voice_settings: {
-              stability: 0.5,
-              similarity_boost: 0.75
-            }
-          })
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error('[Janitor Voice] ElevenLabs API Error:', {
-            status: response.status,
-            statusText: response.statusText,
-            error: errorText
-          });
-          throw new Error(`ElevenLabs API Error (${response.status}): ${errorText}`);
-        }
+  // voice_settings.speed only goes from 0.7 to 1.2
+  getRequestSpeed(options = {}) {
+    return Math.min(1.2, Math.max(0.7, options.rate || 1.0));
+  }
 
-        const arrayBuffer = await response.arrayBuffer();
-        console.log(`[Janitor Voice] ElevenLabs: Chunk ${chunkNum} audio received, size:`, arrayBuffer.byteLength);
+  // The rest of the speed is applied when playing
+  getPlaybackRate(options = {}) {
+    return (options.rate || 1.0) / this.getRequestSpeed(options);
+  }
+}
 
-        // Update progress
-        if (onProgress && totalChunks > 1) {
-          onProgress(`Playing (${chunkNum}/${totalChunks})...`);
-        }
+class UnrealSpeechTTS extends TTSEngine {
+  static id = 'unreal_speech';
+  static label = 'Unreal Speech';
+  static tabLabel = 'Unreal';
+  static capabilities = { ...TTSEngine.capabilities, rate: true };
+  static settingsFields = [
+    { key: 'apiKey', type: 'secret', secret: 'unrealKey', label: 'API Key', placeholder: 'Bearer Token' }
+  ];
+  static defaultVoice = 'Scarlett';
 
-        // Decode and play audio
-        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+  constructor() {
+    super();
+    // Hardcoded voices as Unreal Speech has a fixed set
+    this.voices = [
+      { name: 'Will (Male)', voiceURI: 'Will', gender: 'male', provider: UnrealSpeechTTS.id },
+      { name: 'Scarlett (Female)', voiceURI: 'Scarlett', gender: 'female', provider: UnrealSpeechTTS.id },
+      { name: 'Liv (Female)', voiceURI: 'Liv', gender: 'female', provider: UnrealSpeechTTS.id },
+      { name: 'Amy (Female)', voiceURI: 'Amy', gender: 'female', provider: UnrealSpeechTTS.id },
+      { name: 'Dan (Male)', voiceURI: 'Dan', gender: 'male', provider: UnrealSpeechTTS.id }
+    ];
+  }
 
-        // Play this chunk and wait for it to finish
-        await new Promise((resolve, reject) => {
-          this.currentSource = this.audioContext.createBufferSource();
-          this.currentSource.buffer = audioBuffer;
-          this.currentSource.playbackRate.value = options.rate || 1.0;
-          this.currentSource.connect(this.audioContext.destination);
+  fetchAudio(text, voiceURI, options) {
+    return TTSBroker.fetchAudio({
+      label: this.label,
+      signal: options.signal,
+      url: 'https://api.v6.unrealspeech.com/stream',
+      method: 'POST',
+      secret: 'unrealKey',
+      headers: {
+        'Authorization': 'Bearer {{apiKey}}',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        Text: text,
+        VoiceId: voiceURI,
+        Bitrate: '192k',
+        Speed: String(this.getRequestSpeed(options)),
+        Pitch: '1.0',
+        Codec: 'libmp3lame'
+      })
+    });
+  }
 
-          this.currentSource.onended = () => {
-            this.currentSource = null;
-            resolve();
-          };
+  // Speed runs from -1 to 1 with 0 as normal: mapped so 0.5x is -1 and 2x is 1
+  getRequestSpeed(options = {}) {
+    const rate = Math.min(2, Math.max(0.5, options.rate || 1.0));
+    const speed = rate >= 1 ? rate - 1 : (rate - 1) * 2;
+    return Math.round(speed * 100) / 100;
+  }
 
-          this.currentSource.onerror = (e) => {
-            console.error('[Janitor Voice] Audio playback error:', e);
-            reject(e);
-          };
+  // Speed is sent with the request
+  getPlaybackRate() {
+    return 1.0;
+  }
+}
 
-          this.currentSource.start(0);
-          console.log(`[Janitor Voice] ElevenLabs: Playing chunk ${chunkNum}/${totalChunks}`);
-        });
-      }
+/**
+ * Any server speaking OpenAI's /v1/audio/speech protocol
+ * (OpenAI itself, or self-hosted Kokoro, openedai-speech, ...)
+ * The voice list is configured as "id:gender" pairs since the protocol has no voice listing
+ * (Kokoro ids like af_bella / am_adam need no gender).
+ */
+class OpenAICompatibleTTS extends TTSEngine {
+  static id = 'openai_compatible';
+  static label = 'OpenAI-compatible';
+  static tabLabel = 'OpenAI';
+  static badge = { text: 'API', type: 'premium' };
+  static capabilities = { ...TTSEngine.capabilities, rate: true };
+  static settingsFields = [
+    { key: 'apiKey', type: 'secret', secret: 'openaiKey', optional: true, label: 'API Key (optional for local servers)', placeholder: 'sk-...' },
+    { key: 'baseUrl', type: 'text', label: 'Base URL', placeholder: 'https://api.openai.com/v1', default: 'https://api.openai.com/v1' },
+    { key: 'model', type: 'text', label: 'Model', placeholder: 'tts-1', default: 'tts-1' },
+    {
+      key: 'voices',
+      type: 'text',
+      label: 'Voices (id:gender, comma separated)',
+      placeholder: 'alloy:female, onyx:male',
+      default: 'alloy:female, echo:male, fable:male, onyx:male, nova:female, shimmer:female'
+    }
+  ];
+  static maxChunkLength = 4000; // API limit is 4096 characters
 
-      console.log('[Janitor Voice] ElevenLabs: All chunks completed');
-      if (onEnd) onEnd();
+  configure(config, keyStatus) {
+    super.configure(config, keyStatus);
+    this.voices = this.parseVoiceList(this.config.voices);
+  }
 
-    } catch (e) {
-      console.error('[Janitor Voice] ElevenLabs Speak Error:', e);
-      alert(`ElevenLabs Error: ${e.message}. Check console for details.`);
-      if (onEnd) onEnd();
-    }
+  async synthesize(text, options = {}) {
+    // Default to the first configured voice
+    const voiceURI = options.voiceURI || (this.voices[0] ? this.voices[0].voiceURI : null);
+    if (!voiceURI) throw new Error(`${this.label}: no voices configured`);
+    return super.synthesize(text, { ...options, voiceURI });
   }
 
-  cancel() {
-    if (this.currentSource) {
-      try {
-        this.currentSource.stop();
-      } catch (e) {
-        // Source may have already ended
-      }
-      this.currentSource = null;
-    }
+  fetchAudio(text, voiceURI, options) {
+    const baseUrl = this.config.baseUrl.replace(/\/+$/, '');
+    const hasKey = !!this.keyStatus.openaiKey;
+
+    return TTSBroker.fetchAudio({
+      label: this.label,
+      signal: options.signal,
+      url: `${baseUrl}/audio/speech`,
+      method: 'POST',
+      secret: hasKey ? 'openaiKey' : null,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(hasKey ? { 'Authorization': 'Bearer {{apiKey}}' } : {})
+      },
+      body: JSON.stringify({
+        model: this.config.model,
+        input: text,
+        voice: voiceURI,
+        speed: Math.min(4, Math.max(0.25, options.rate || 1.0)),
+        response_format: 'mp3'
+      })
+    });
   }
 
-  getVoices() { return this.voices; }
+  // Speed is sent with the request
+  getPlaybackRate() {
+    return 1.0;
+  }
 }
 
-class UnrealSpeechTTS {
+/**
+ * Local offline TTS server returning WAV
+ * - Piper (piper.http_server): GET /voices, POST / { text, voice, speaker, length_scale }
+ * - Coqui (tts-server): GET /api/tts?text=&speaker_id= ; speakers are not listed, so they
+ *   come from the manual voice list
+ * Manual "id:gender" entries are merged with the server's list and override guessed genders.
+ * Piper speakers of multi-speaker models can be listed as "voice#speaker".
+ */
+class LocalServerTTS extends TTSEngine {
+  static id = 'local_server';
+  static label = 'Local TTS Server';
+  static tabLabel = 'Local';
+  static badge = { text: 'Offline', type: 'free' };
+  static capabilities = { ...TTSEngine.capabilities, voiceListing: true, rate: true };
+  static settingsFields = [
+    {
+      key: 'serverType',
+      type: 'select',
+      label: 'Server',
+      options: [{ value: 'piper', label: 'Piper' }, { value: 'coqui', label: 'Coqui TTS' }],
+      default: 'piper'
+    },
+    { key: 'baseUrl', type: 'text', label: 'Server URL', placeholder: 'http://localhost:5000', default: 'http://localhost:5000' },
+    { key: 'voices', type: 'text', label: 'Voices / Speakers (id:gender, optional)', placeholder: 'p225:female, p226:male', default: '' }
+  ];
+  static maxChunkLength = 600; // Local CPU synthesis: smaller chunks start sooner
+
   constructor() {
-    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    this.apiKey = null;
-    this.currentSource = null;
-    // Hardcoded voices as Unreal Speech has a fixed set
-    this.voices = [
-      { name: 'Will (Male)', voiceURI: 'Will', provider: 'unreal_speech' },
-      { name: 'Scarlett (Female)', voiceURI: 'Scarlett', provider: 'unreal_speech' },
-      { name: 'Liv (Female)', voiceURI: 'Liv', provider: 'unreal_speech' },
-      { name: 'Amy (Female)', voiceURI: 'Amy', provider: 'unreal_speech' },
-      { name: 'Dan (Male)', voiceURI: 'Dan', provider: 'unreal_speech' }
-    ];
+    super();
+    this.serverVoices = [];
+    this.serverKey = null; // serverType + baseUrl the serverVoices came from
   }
 
-  setApiKey(key) { this.apiKey = key; }
+  configure(config, keyStatus) {
+    super.configure(config, keyStatus);
 
-  async speak(text, options, onEnd, onProgress) {
-    this.cancel();
-    if (!this.apiKey) {
-      console.warn('[Janitor Voice] No Unreal Speech API Key');
-      if (onEnd) onEnd();
-      return;
+    // The server's list is fetched on demand (VoiceController.getVoices), not
+    // from every page that loads settings
+    const serverKey = `${this.config.serverType}|${this.config.baseUrl}`;
+    if (serverKey !== this.serverKey) {
+      this.serverKey = serverKey;
+      this.serverVoices = [];
     }
+    this.mergeVoices();
+  }
 
-    try {
-      // Split text into chunks if needed
-      const chunks = smartSplit(text, 900);
-      const totalChunks = chunks.length;
+  get baseUrl() {
+    return this.config.baseUrl.replace(/\/+$/, '');
+  }
 
-      console.log(`[Janitor Voice] Unreal Speech: Processing ${totalChunks} chunk(s)`);
+  mergeVoices() {
+    const manual = this.parseVoiceList(this.config.voices);
+    const manualIds = new Set(manual.map(v => v.voiceURI));
+    this.voices = [...manual, ...this.serverVoices.filter(v => !manualIds.has(v.voiceURI))];
+  }
 
-      // Process chunks sequentially
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const chunkNum = i + 1;
+  async fetchVoices() {
+    if (this.config.serverType !== 'piper') return;
+    try {
+      const data = await TTSBroker.fetchJSON({
+        label: this.label,
+        url: `${this.baseUrl}/voices`,
+        retries: 0 // A listing isn't worth backing off on; a stopped server just has no voices
+      });
+      // Object keyed by voice name (piper1) or a plain list of names
+      const names = Array.isArray(data) ? data.map(v => (typeof v === 'string' ? v : v.name)) : Object.keys(data || {});
+      this.serverVoices = names.filter(Boolean).map(name => this.createVoice(name, guessVoiceGender(name)));
+      this.mergeVoices();
+      console.log(`[Janitor Voice] ${this.label}: ${this.serverVoices.length} voice(s) available`);
+    } catch (e) {
+      console.error('[Janitor Voice] Local server voices error:', e);
+    }
+  }
 
-        // Update progress
-        if (onProgress && totalChunks > 1) {
-          onProgress(`Generating voice (${chunkNum}/${totalChunks})...`);
-        }
+  async synthesize(text, options = {}) {
+    // Piper needs a voice when it has several loaded; Coqui uses its default speaker
+    const voiceURI = options.voiceURI || (this.voices[0] ? this.voices[0].voiceURI : null);
+    return super.synthesize(text, { ...options, voiceURI });
+  }
+
+  fetchAudio(text, voiceURI, options) {
+    if (this.config.serverType === 'coqui') {
+      const params = new URLSearchParams({ text: text, speaker_id: voiceURI || '', style_wav: '', language_id: '' });
+      return TTSBroker.fetchAudio({
+        label: this.label,
+        signal: options.signal,
+        url: `${this.baseUrl}/api/tts?${params}`
+      });
+    }
 
-        const voiceId = options.voiceURI || 'Scarlett';
-
-        console.log(`[Janitor Voice] Unreal Speech: Generating chunk ${chunkNum}/${totalChunks}, length: ${chunk.length}`);
-
-        const response = await fetch('https://api.v6.unrealspeech.com/stream', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            Text: chunk,
-            VoiceId: voiceId,
-            Bitrate: '192k',
-            Speed: '0',
-            Pitch: '1.0',
-            Codec: 'libmp3lame'
-          })
-        });
+    const [voice, speaker] = (voiceURI || '').split('#');
+    return TTSBroker.fetchAudio({
+      label: this.label,
+      signal: options.signal,
+      url: `${this.baseUrl}/`,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: text,
+        voice: voice || undefined,
+        speaker: speaker || undefined,
+        length_scale: 1 / (options.rate || 1.0)
+      })
+    });
+  }
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error('[Janitor Voice] Unreal Speech API Error:', {
-            status: response.status,
-            statusText: response.statusText,
-            error: errorText
-          });
-          throw new Error(`Unreal Speech API Error (${response.status}): ${errorText}`);
-        }
+  // Piper takes the rate as length_scale; Coqui has no speed parameter
+  getPlaybackRate(options = {}) {
+    return this.config.serverType === 'coqui' ? (options.rate || 1.0) : 1.0;
+  }
+}
 
-        const arrayBuffer = await response.arrayBuffer();
-        console.log(`[Janitor Voice] Unreal Speech: Chunk ${chunkNum} audio received, size:`, arrayBuffer.byteLength);
+/**
+ * Provider defined entirely in settings by a request template
+ * URL and body may use {{text}}, {{voice}} and {{rate}}; headers may use {{apiKey}}
+ * (substituted by the background worker). The response is raw audio, base64 audio
+ * in a JSON field, or a JSON field holding an audio URL.
+ */
+class CustomHttpTTS extends TTSEngine {
+  static id = 'custom_http';
+  static label = 'Custom HTTP';
+  static tabLabel = 'Custom';
+  static badge = { text: 'HTTP', type: 'free' };
+  static capabilities = { ...TTSEngine.capabilities, rate: true };
+  static settingsFields = [
+    { key: 'apiKey', type: 'secret', secret: 'customKey', optional: true, label: 'API Key (used as {{apiKey}} in headers)', placeholder: 'Optional' },
+    { key: 'url', type: 'text', label: 'URL', placeholder: 'https://example.com/tts?voice={{voice}}', default: '' },
+    {
+      key: 'method',
+      type: 'select',
+      label: 'Method',
+      options: [{ value: 'POST', label: 'POST' }, { value: 'GET', label: 'GET' }],
+      default: 'POST'
+    },
+    { key: 'headers', type: 'textarea', label: 'Headers (JSON)', placeholder: '{"Authorization": "Bearer {{apiKey}}"}', default: '{"Content-Type": "application/json"}' },
+    { key: 'body', type: 'textarea', label: 'Body Template (JSON)', placeholder: '{"text": "{{text}}", "voice": "{{voice}}", "speed": "{{rate}}"}', default: '{"text": "{{text}}", "voice": "{{voice}}"}' },
+    {
+      key: 'responseType',
+      type: 'select',
+      label: 'Response',
+      options: [
+        { value: 'audio', label: 'Raw audio' },
+        { value: 'base64', label: 'Base64 audio in JSON field' },
+        { value: 'url', label: 'Audio URL in JSON field' }
+      ],
+      default: 'audio'
+    },
+    { key: 'responsePath', type: 'text', label: 'JSON Field Path', placeholder: 'data.audio', default: '' },
+    { key: 'voices', type: 'text', label: 'Voices (id:gender, comma separated)', placeholder: 'voice1:female, voice2:male', default: '' }
+  ];
 
-        // Validate
-        if (arrayBuffer.byteLength === 0) {
-          throw new Error('Unreal Speech returned empty audio response');
-        }
+  configure(config, keyStatus) {
+    super.configure(config, keyStatus);
+    this.voices = this.parseVoiceList(this.config.voices);
+  }
 
-        // Update progress
-        if (onProgress && totalChunks > 1) {
-          onProgress(`Playing (${chunkNum}/${totalChunks})...`);
-        }
+  isConfigured() {
+    return super.isConfigured() && !!this.config.url;
+  }
 
-        // Decode and play audio
-        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+  async synthesize(text, options = {}) {
+    if (!this.config.url) throw new Error(`${this.label}: no URL configured`);
+    const voiceURI = options.voiceURI || (this.voices[0] ? this.voices[0].voiceURI : '');
+    return super.synthesize(text, { ...options, voiceURI });
+  }
 
-        // Play this chunk and wait for it to finish
-        await new Promise((resolve, reject) => {
-          this.currentSource = this.audioContext.createBufferSource();
-          this.currentSource.buffer = audioBuffer;
-          this.currentSource.playbackRate.value = options.rate || 1.0;
-          this.currentSource.connect(this.audioContext.destination);
+  /**
+   * Replace {{text}}/{{voice}}/{{rate}} in a string
+   * @param {string} template
+   * @param {Object} values - { text, voice, rate }
+   * @param {function(string): string} [encode] - Applied to each value (URL encoding)
+   */
+  fillTemplate(template, values, encode = String) {
+    return template.replace(/\{\{(text|voice|rate)\}\}/g, (match, name) => encode(values[name]));
+  }
 
-          this.currentSource.onended = () => {
-            this.currentSource = null;
-            resolve();
-          };
+  /**
+   * Build the request body from the JSON template
+   * A string that is exactly "{{rate}}" becomes a number; other placeholders are
+   * substituted inside strings, so text never needs escaping by the user.
+   */
+  buildBody(values) {
+    const template = this.config.body;
+    if (!template) return undefined;
 
-          this.currentSource.onerror = (e) => {
-            console.error('[Janitor Voice] Audio playback error:', e);
-            reject(e);
-          };
+    let parsed;
+    try {
+      parsed = JSON.parse(template);
+    } catch (e) {
+      // Not JSON (form data, plain text): substitute as a string
+      return this.fillTemplate(template, values);
+    }
 
-          this.currentSource.start(0);
-          console.log(`[Janitor Voice] Unreal Speech: Playing chunk ${chunkNum}/${totalChunks}`);
+    const fill = (node) => {
+      if (typeof node === 'string') {
+        return node === '{{rate}}' ? values.rate : this.fillTemplate(node, values);
+      }
+      if (Array.isArray(node)) return node.map(fill);
+      if (node && typeof node === 'object') {
+        const result = {};
+        Object.entries(node).forEach(([key, value]) => {
+          result[key] = fill(value);
         });
+        return result;
       }
+      return node;
+    };
 
-      console.log('[Janitor Voice] Unreal Speech: All chunks completed');
-      if (onEnd) onEnd();
+    return JSON.stringify(fill(parsed));
+  }
 
+  buildHeaders() {
+    if (!this.config.headers) return {};
+    try {
+      return JSON.parse(this.config.headers);
     } catch (e) {
-      console.error('[Janitor Voice] Unreal Speech Error:', e);
-      alert(`Unreal Speech Error: ${e.message}. Check console for details.`);
-      if (onEnd) onEnd();
+      throw new Error(`${this.label}: headers must be a JSON object`);
     }
   }
 
-  cancel() {
-    if (this.currentSource) {
-      try {
-        this.currentSource.stop();
-      } catch (e) {
-        // Source may have already ended
-      }
-      this.currentSource = null;
+  /**
+   * Read a dotted path ("data.audio", "results.0.url") from a JSON response
+   */
+  getField(json, path) {
+    const value = String(path || '')
+      .split('.')
+      .filter(Boolean)
+      .reduce((node, key) => (node == null ? undefined : node[key]), json);
+    if (typeof value !== 'string' || !value) {
+      throw new Error(`${this.label}: response has no string at "${path}"`);
+    }
+    return value;
+  }
+
+  async fetchAudio(text, voiceURI, options) {
+    const values = { text: text, voice: voiceURI || '', rate: options.rate || 1.0 };
+    const method = this.config.method || 'POST';
+    const hasKey = !!this.keyStatus.customKey;
+
+    const request = {
+      label: this.label,
+      signal: options.signal,
+      url: this.fillTemplate(this.config.url, values, encodeURIComponent),
+      method: method,
+      secret: hasKey ? 'customKey' : null,
+      headers: this.buildHeaders(),
+      body: method === 'GET' ? undefined : this.buildBody(values)
+    };
+
+    if (this.config.responseType === 'base64') {
+      const json = await TTSBroker.fetchJSON(request);
+      const data = this.getField(json, this.config.responsePath).replace(/^data:[^,]*,/, '');
+      return TTSBroker.base64ToBytes(data).buffer;
+    }
+
+    if (this.config.responseType === 'url') {
+      const json = await TTSBroker.fetchJSON(request);
+      return TTSBroker.fetchAudio({ label: this.label, signal: options.signal, url: this.getField(json, this.config.responsePath) });
     }
+
+    return TTSBroker.fetchAudio(request);
   }
 
-  getVoices() { return this.voices; }
+  // Rate is only applied when the template doesn't send it
+  getPlaybackRate(options = {}) {
+    const template = `${this.config.url} ${this.config.body}`;
+    return template.includes('{{rate}}') ? 1.0 : (options.rate || 1.0);
+  }
 }
 
+TTSRegistry.register(WebSpeechTTS);
+TTSRegistry.register(ElevenLabsTTS);
+TTSRegistry.register(UnrealSpeechTTS);
+TTSRegistry.register(OpenAICompatibleTTS);
+TTSRegistry.register(LocalServerTTS);
+TTSRegistry.register(CustomHttpTTS);
+
 // ============================================================================
 // HIGHLIGHT MANAGER (Fixed)
 // ============================================================================
@@ -3387,7 +5412,7 @@ class HighlightManager {
     }
 
     // Find the container. Fallback to element itself if query fails.
-    let contentBody = element.querySelector(CONFIG.SELECTORS.messageBody) ||
+    let contentBody = element.querySelector(SiteAdapters.selector('messageBody')) ||
       element.querySelector('.message-body') ||
       element;
 
@@ -3551,29 +5576,85 @@ class MicButtonInjector {
   constructor(overlayManager, onInteraction) {
     this.overlayManager = overlayManager;
     this.onInteraction = onInteraction;
-    this.items = new Map();
+    this.items = new Map(); // message id -> { id, element, button }
+    this.ids = new WeakMap(); // element -> message id
     this.rafId = null;
     this.startTracking();
   }
 
-  inject(messageElement, text) {
-    if (this.items.has(messageElement)) return;
+  /**
+   * Add the mic button for a message, or move it to the message's current element
+   * (Virtuoso unmounts messages scrolled out of view and remounts them as new nodes)
+   * @param {string} id - Stable message id (MessageDetector.getMessageId)
+   * @param {Element} messageElement
+   * @param {Object} [options]
+   * @param {boolean} [options.user] - One of your own messages (read with the player voice)
+   */
+  inject(id, messageElement, options = {}) {
     if (!messageElement.isConnected) return;
 
+    // A recycled element no longer shows the message it was bound to
+    const previousId = this.ids.get(messageElement);
+    if (previousId && previousId !== id) {
+      const previous = this.items.get(previousId);
+      if (previous && previous.element === messageElement) previous.element = null;
+    }
+    this.ids.set(messageElement, id);
+
+    const existing = this.items.get(id);
+    if (existing) {
+      existing.element = messageElement;
+      this.updateSinglePosition(existing);
+      return;
+    }
+
     const button = document.createElement('button');
     button.className = 'jv-mic-button';
     button.innerHTML = '🎤';
     button.setAttribute('aria-label', 'Play Voice');
-    button.title = 'Speak Message';
+    button.title = 'Speak Message (Shift+click: play from here)';
+    if (options.user) button.classList.add('is-user');
 
+    const item = { id, element: messageElement, button, user: !!options.user };
     button.addEventListener('click', (e) => {
       e.stopPropagation();
-      this.onInteraction(messageElement, text, button);
+      this.onInteraction(button, { playFrom: e.shiftKey });
     });
 
     this.overlayManager.get().appendChild(button);
-    this.items.set(messageElement, { button, text });
-    this.updateSinglePosition(messageElement, button);
+    this.items.set(id, item);
+    this.updateSinglePosition(item);
+  }
+
+  /**
+   * Remove a message's mic button
+   * @param {string} id
+   */
+  remove(id) {
+    const item = this.items.get(id);
+    if (!item) return;
+    item.button.remove();
+    this.items.delete(id);
+  }
+
+  /**
+   * @param {Element} element
+   * @returns {Object|null} The item currently bound to a message element
+   */
+  get(element) {
+    const item = this.items.get(this.ids.get(element));
+    return item && item.element === element ? item : null;
+  }
+
+  /**
+   * @param {HTMLButtonElement} button
+   * @returns {Object|null} The item a mic button belongs to
+   */
+  find(button) {
+    for (const item of this.items.values()) {
+      if (item.button === button) return item;
+    }
+    return null;
   }
 
   startTracking() {
@@ -3587,15 +5668,16 @@ class MicButtonInjector {
   updatePositions() {
     const vH = window.innerHeight;
     const vW = window.innerWidth;
-    for (const [element, item] of this.items) {
-      this.updateSinglePosition(element, item.button, vH, vW);
+    for (const item of this.items.values()) {
+      this.updateSinglePosition(item, vH, vW);
     }
   }
 
-  updateSinglePosition(element, button, vH, vW) {
-    if (!element.isConnected) {
+  updateSinglePosition(item, vH, vW) {
+    const { element, button } = item;
+    // Unmounted: the button is kept (with its playing state) until the message remounts
+    if (!element || !element.isConnected) {
       button.style.display = 'none';
-      if (!document.contains(element)) this.cleanup(element);
       return;
     }
     const rect = element.getBoundingClientRect();
@@ -3609,14 +5691,6 @@ class MicButtonInjector {
     button.style.transform = `translate(${left}px, ${top}px)`;
   }
 
-  cleanup(element) {
-    const item = this.items.get(element);
-    if (item) {
-      item.button.remove();
-      this.items.delete(element);
-    }
-  }
-
   setButtonState(button, state) {
     if (state === 'playing') {
       button.classList.add('is-playing');
@@ -3639,6 +5713,192 @@ class MicButtonInjector {
   }
 }
 
+// ============================================================================
+// SELECTOR PICKER
+// ============================================================================
+
+/**
+ * Lets the user click an element on the page and derives a selector from it
+ * Derived selectors avoid what changes between deploys: CSS-module class
+ * hashes become substring matches on the readable part, and ids or
+ * attribute values with numbers in them are skipped.
+ */
+class SelectorPicker {
+  constructor() {
+    this.highlight = null;
+    this.cancel = null;
+  }
+
+  /**
+   * Wait for the user to click an element (Esc cancels)
+   * @returns {Promise<Element|null>}
+   */
+  pick() {
+    if (this.cancel) this.cancel();
+
+    return new Promise((resolve) => {
+      this.highlight = document.createElement('div');
+      this.highlight.className = 'jv-picker-highlight';
+      document.body.appendChild(this.highlight);
+
+      const isOwnUI = (el) => !!el.closest(`#${CONFIG.UI.panelId}, #${CONFIG.UI.overlayId}`);
+
+      const onMove = (e) => {
+        if (isOwnUI(e.target)) return;
+        const rect = e.target.getBoundingClientRect();
+        Object.assign(this.highlight.style, {
+          transform: `translate(${rect.left}px, ${rect.top}px)`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+      };
+      const onClick = (e) => {
+        if (isOwnUI(e.target)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        finish(e.target);
+      };
+      const onKey = (e) => {
+        if (e.key === 'Escape') finish(null);
+      };
+      const finish = (element) => {
+        document.removeEventListener('mousemove', onMove, true);
+        document.removeEventListener('click', onClick, true);
+        document.removeEventListener('keydown', onKey, true);
+        this.highlight.remove();
+        this.highlight = null;
+        this.cancel = null;
+        resolve(element);
+      };
+
+      this.cancel = () => finish(null);
+      document.addEventListener('mousemove', onMove, true);
+      document.addEventListener('click', onClick, true);
+      document.addEventListener('keydown', onKey, true);
+    });
+  }
+
+  /**
+   * Selector for one of the site selector keys, from a picked element
+   * Messages and message text are repeated, so the picked element is generalised
+   * to the list item it belongs to; the rest describe that one element.
+   * @param {string} key - SITE_ADAPTERS selector key
+   * @param {Element} element
+   * @returns {string|null} Null if nothing suitable was found
+   */
+  derive(key, element) {
+    const messages = SiteAdapters.selector('characterMessage');
+    const messageCount = SiteAdapters.countMatches(messages);
+    const candidates = this.ancestors(element).map(el => ({ el, selector: this.describe(el) }))
+      .filter(candidate => candidate.selector)
+      .map(candidate => ({ ...candidate, count: SiteAdapters.countMatches(candidate.selector) }));
+
+    switch (key) {
+      case 'characterMessage': {
+        // Outermost repeated element before leaving the message list
+        let found = null;
+        for (const candidate of candidates) {
+          if (candidate.count < 2) break;
+          if (!this.nests(candidate.selector)) found = candidate;
+        }
+        return found ? found.selector : null;
+      }
+
+      case 'messageBody': {
+        // Innermost element inside a message that appears at most once per message
+        const found = candidates.find(candidate => candidate.el.closest(messages) &&
+          candidate.count >= 1 && candidate.count <= messageCount && !this.nests(candidate.selector));
+        return found ? found.selector : null;
+      }
+
+      case 'userMessage': {
+        // Outermost element of the message that only some messages have
+        const inside = candidates.filter(candidate => candidate.el.closest(messages));
+        const found = inside.filter(candidate => candidate.count >= 1 && candidate.count < messageCount).pop();
+        return found ? found.selector : null;
+      }
+
+      case 'chatContainer': {
+        const container = this.ancestors(element).find(el => el.querySelectorAll(messages).length >= 2);
+        return container ? this.unique(container) : null;
+      }
+
+      default:
+        return this.unique(element);
+    }
+  }
+
+  /**
+   * @param {Element} element
+   * @returns {Element[]} The element and its ancestors below <body>
+   */
+  ancestors(element) {
+    const list = [];
+    for (let el = element; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+      list.push(el);
+    }
+    return list;
+  }
+
+  /**
+   * A deploy-proof selector for an element on its own
+   * @param {Element} element
+   * @returns {string|null} Null if the element only has a bare tag to go on
+   */
+  describe(element) {
+    const tag = element.tagName.toLowerCase();
+    if (element.id && !/\d/.test(element.id)) return `#${CSS.escape(element.id)}`;
+
+    for (const name of ['data-testid', 'data-sender', 'is_user', 'role', 'name']) {
+      const value = element.getAttribute(name);
+      if (value !== null && !/\d{3,}/.test(value)) return `${tag}[${name}="${CSS.escape(value)}"]`;
+    }
+
+    const classes = Array.from(element.classList).map(name => this.classSelector(name)).filter(Boolean).slice(0, 2);
+    return classes.length > 0 ? tag + classes.join('') : null;
+  }
+
+  /**
+   * Stable form of a class name
+   * CSS-module names (_messageBody_2xqwb_2, Message_wrapper__a1B2c) keep only
+   * their readable part; names with digits or utility-class syntax are skipped.
+   * @param {string} name
+   * @returns {string|null}
+   */
+  classSelector(name) {
+    if (name.startsWith('jv-')) return null;
+    const module = /^(.*?_{1,2})([A-Za-z0-9]{5,})(?:_\d+)?$/.exec(name);
+    if (module && (/\d/.test(module[2]) || module[1].endsWith('__'))) return `[class*="${module[1]}"]`;
+    if (/[\d:[\]/]/.test(name)) return null;
+    return `.${CSS.escape(name)}`;
+  }
+
+  /**
+   * Describe an element, adding ancestors until only it matches
+   * @param {Element} element
+   * @returns {string}
+   */
+  unique(element) {
+    let selector = this.describe(element) || element.tagName.toLowerCase();
+    for (const el of this.ancestors(element.parentElement)) {
+      if (SiteAdapters.countMatches(selector) <= 1) break;
+      const parent = this.describe(el);
+      if (parent) selector = `${parent} ${selector}`;
+    }
+    return selector;
+  }
+
+  /**
+   * Whether some element matching a selector is inside another match
+   * @param {string} selector
+   * @returns {boolean}
+   */
+  nests(selector) {
+    return Array.from(document.querySelectorAll(selector))
+      .some(el => el.parentElement && el.parentElement.closest(selector));
+  }
+}
+
 // ============================================================================
 // UI PANEL
 // ============================================================================
@@ -3647,6 +5907,7 @@ class UIPanel {
   constructor(controller) {
     this.controller = controller;
     this.panel = null;
+    this.picker = new SelectorPicker();
     this.isDragging = false;
     this.dragOffset = { x: 0, y: 0 };
     this.isMinimized = false;
@@ -3684,65 +5945,132 @@ class UIPanel {
           </label>
         </div>
 
-        <div class="jv-tabs">
-          <div class="jv-tab" data-provider="${CONFIG.PROVIDERS.WEB}">Free <span class="jv-badge free">Web</span></div>
-          <div class="jv-tab" data-provider="${CONFIG.PROVIDERS.ELEVEN}">11Labs <span class="jv-badge premium">Pro</span></div>
-          <div class="jv-tab" data-provider="${CONFIG.PROVIDERS.UNREAL}">Unreal <span class="jv-badge premium">Pro</span></div>
+        <div class="jv-control">
+          <label class="jv-toggle-label">
+            <input type="checkbox" id="jv-autoread-toggle" />
+            <span class="jv-toggle-slider"></span>
+            <span class="jv-toggle-text">Auto-Read New Messages</span>
+          </label>
+          <label class="jv-toggle-label">
+            <input type="checkbox" id="jv-autoread-cinematic-toggle" />
+            <span class="jv-toggle-slider"></span>
+            <span class="jv-toggle-text">Auto-Read in Cinematic Mode</span>
+          </label>
+          <label class="jv-toggle-label">
+            <input type="checkbox" id="jv-autoread-streaming-toggle" />
+            <span class="jv-toggle-slider"></span>
+            <span class="jv-toggle-text">Start Reading While Streaming</span>
+          </label>
+          <label class="jv-toggle-label">
+            <input type="checkbox" id="jv-autoread-swipes-toggle" />
+            <span class="jv-toggle-slider"></span>
+            <span class="jv-toggle-text">Read Swipes &amp; Regenerations</span>
+          </label>
         </div>
 
-        <!-- SHARED VOICE CONTROLS (Rate/Pitch apply to most, but we'll show conditionally or always if supported) -->
-        <!-- Web Speech Settings -->
-        <div class="jv-provider-section" id="section-${CONFIG.PROVIDERS.WEB}">
-           <div class="jv-control">
-            <label class="jv-label"><span>Speed</span><span class="jv-value" id="jv-rate-value">1.0x</span></label>
-            <input type="range" id="jv-rate" min="0.5" max="2" step="0.1" value="1" />
-           </div>
-           <div class="jv-control">
-            <label class="jv-label"><span>Pitch</span><span class="jv-value" id="jv-pitch-value">1.0</span></label>
-            <input type="range" id="jv-pitch" min="0.5" max="2" step="0.1" value="1" />
-           </div>
+        <div class="jv-control">
+          <label class="jv-label"><span>Parallel Requests (Cinematic)</span><span class="jv-value" id="jv-concurrency-value">3</span></label>
+          <input type="range" id="jv-concurrency" min="1" max="6" step="1" value="3" />
         </div>
 
-        <!-- ElevenLabs Settings -->
-        <div class="jv-provider-section" id="section-${CONFIG.PROVIDERS.ELEVEN}" style="display:none">
-          <div class="jv-input-group">
-            <label class="jv-label">API Key</label>
-            <div class="jv-input-wrapper">
-              <input type="password" id="jv-eleven-key" class="jv-input" placeholder="sk-..." />
-              <button class="jv-btn-save" id="jv-save-eleven">Save</button>
-            </div>
-            <div class="jv-connection-status" id="jv-status-eleven"></div>
-          </div>
-          <div class="jv-control" style="margin-top:8px;">
-            <label class="jv-label">Speed <span class="jv-value" id="jv-rate-eleven-val">1.0x</span></label>
-             <!-- Reusing the main rate slider event logic but physically separate inputs? 
-                  Alternatively, use one shared slider. Let's use shared logic but update description.
-                  For simplicity, let's reuse the Rate slider from the main section but move it out? 
-                  Actually, separate sections is cleaner for specific params. 
-                  But all engines support Rate. Let's duplicate or move the slider. 
-                  Let's just show the Shared controls for all, but pitch only for Web.
-              -->
-          </div>
+        <div class="jv-control">
+          <label class="jv-label">Character Adjustments (Cinematic, added to Speed/Pitch/Volume)</label>
+          <textarea id="jv-character-offsets" class="jv-input" rows="3" placeholder='{"Narrator": {"rate": -0.1}, "Alice": {"pitch": 0.2, "volume": -0.2}}'></textarea>
         </div>
 
-        <!-- Unreal Speech Settings -->
-        <div class="jv-provider-section" id="section-${CONFIG.PROVIDERS.UNREAL}" style="display:none">
-          <div class="jv-input-group">
-            <label class="jv-label">API Key</label>
-            <div class="jv-input-wrapper">
-              <input type="password" id="jv-unreal-key" class="jv-input" placeholder="Bearer Token" />
-              <button class="jv-btn-save" id="jv-save-unreal">Save</button>
-            </div>
-            <div class="jv-connection-status" id="jv-status-unreal"></div>
+        <div class="jv-tabs">
+          ${TTSRegistry.list().map(engine => this.renderTab(engine.constructor)).join('')}
+        </div>
+
+        <!-- Provider Settings (built from each engine's settingsFields) -->
+        ${TTSRegistry.list().map(engine => this.renderProviderSection(engine.constructor)).join('')}
+
+        <!-- Shared Voice Controls (shown when the provider supports them) -->
+        <div class="jv-control" id="jv-rate-control">
+          <label class="jv-label"><span>Speed</span><span class="jv-value" id="jv-rate-value">1.0x</span></label>
+          <input type="range" id="jv-rate" min="0.5" max="2" step="0.1" value="1" />
+        </div>
+        <div class="jv-control" id="jv-pitch-control">
+          <label class="jv-label"><span>Pitch</span><span class="jv-value" id="jv-pitch-value">1.0</span></label>
+          <input type="range" id="jv-pitch" min="0.5" max="2" step="0.1" value="1" />
+        </div>
+        <div class="jv-control">
+          <label class="jv-label"><span>Volume</span><span class="jv-value" id="jv-volume-value">100%</span></label>
+          <input type="range" id="jv-volume" min="0" max="1" step="0.05" value="1" />
+        </div>
+        <div class="jv-control">
+          <label class="jv-toggle-label">
+            <input type="checkbox" id="jv-normalize-toggle" />
+            <span class="jv-toggle-slider"></span>
+            <span class="jv-toggle-text">Normalize Loudness</span>
+          </label>
+        </div>
+
+        <!-- Fallback Chain -->
+        <div class="jv-control">
+          <label class="jv-label">If the provider fails, try</label>
+          <div class="jv-input-wrapper">
+            ${[0, 1, 2].map(index => `
+            <select class="jv-select jv-fallback" data-index="${index}">
+              <option value="">None</option>
+              ${TTSRegistry.list().map(engine => `<option value="${engine.id}">${engine.constructor.tabLabel}</option>`).join('')}
+            </select>`).join('')}
           </div>
         </div>
-        
+
         <!-- Shared Voice Select -->
         <div class="jv-control">
           <label class="jv-label">Voice Model</label>
           <select id="jv-voice" class="jv-select"><option>Loading...</option></select>
         </div>
 
+        <!-- Your own messages -->
+        <div class="jv-control">
+          <label class="jv-toggle-label">
+            <input type="checkbox" id="jv-read-user-toggle" />
+            <span class="jv-toggle-slider"></span>
+            <span class="jv-toggle-text">Read My Messages</span>
+          </label>
+          <label class="jv-label">Player Voice</label>
+          <select id="jv-user-voice" class="jv-select"><option value="">Same as Voice Model</option></select>
+        </div>
+
+        <!-- Audio Cache -->
+        <div class="jv-control">
+          <label class="jv-label"><span>Audio Cache</span><span class="jv-value" id="jv-cache-stats">—</span></label>
+          <button class="jv-btn-secondary" id="jv-clear-cache">Clear Cache</button>
+        </div>
+
+        <!-- Page selectors: override the site adapter when the site's markup changes -->
+        <div class="jv-control">
+          <label class="jv-label">Page Selectors (${SiteAdapters.current.name})</label>
+          ${Object.keys(SiteAdapters.LABELS).map(key => `
+          <div class="jv-input-group">
+            <label class="jv-label"><span>${SiteAdapters.LABELS[key]}</span><span class="jv-value jv-selector-count" data-key="${key}"></span></label>
+            <div class="jv-input-wrapper">
+              <input type="text" class="jv-input jv-selector" data-key="${key}" placeholder="${SiteAdapters.current.selectors[key].replace(/"/g, '&quot;')}" />
+              <button class="jv-btn-pick" data-key="${key}" title="Pick an element on the page">🎯</button>
+            </div>
+          </div>`).join('')}
+        </div>
+
+        <!-- Transport (same actions as the keyboard commands) -->
+        <div class="jv-control jv-transport">
+          <button class="jv-btn-transport" data-command="${CONFIG.COMMANDS.PREVIOUS_BLOCK}" title="Previous block">⏮</button>
+          <button class="jv-btn-transport" data-command="${CONFIG.COMMANDS.SEEK_BACK}" title="Back ${CONFIG.SEEK_SECONDS}s">⏪</button>
+          <button class="jv-btn-transport" data-command="${CONFIG.COMMANDS.PLAY_PAUSE}" title="Play/pause">⏯</button>
+          <button class="jv-btn-transport" data-command="${CONFIG.COMMANDS.SEEK_FORWARD}" title="Forward ${CONFIG.SEEK_SECONDS}s">⏩</button>
+          <button class="jv-btn-transport" data-command="${CONFIG.COMMANDS.NEXT_BLOCK}" title="Next block">⏭</button>
+        </div>
+
+        <!-- Playlist (Shift+click a mic button to play from that message) -->
+        <div class="jv-control jv-transport">
+          <button class="jv-btn-transport" data-command="${CONFIG.COMMANDS.PREVIOUS_MESSAGE}" title="Previous message">⇤ Msg</button>
+          <button class="jv-btn-transport" data-command="${CONFIG.COMMANDS.PLAY_FROM_HERE}" title="Read from this message to the end">▶▶ From Here</button>
+          <button class="jv-btn-transport" data-command="${CONFIG.COMMANDS.STOP_AFTER_CURRENT}" id="jv-stop-after" title="Stop after the current message" disabled>⏹ After</button>
+          <button class="jv-btn-transport" data-command="${CONFIG.COMMANDS.NEXT_MESSAGE}" title="Next message">Msg ⇥</button>
+        </div>
+
         <div class="jv-status" id="jv-status">Ready</div>
       </div>
     `;
@@ -3751,6 +6079,64 @@ class UIPanel {
     this.loadSettings();
   }
 
+  /**
+   * @param {typeof TTSEngine} Engine
+   * @returns {string} Tab HTML
+   */
+  renderTab(Engine) {
+    return `<div class="jv-tab" data-provider="${Engine.id}">${Engine.tabLabel} <span class="jv-badge ${Engine.badge.type}">${Engine.badge.text}</span></div>`;
+  }
+
+  /**
+   * Settings section for one provider
+   * 'secret' fields save through the background worker; other fields save on change
+   * @param {typeof TTSEngine} Engine
+   * @returns {string} Section HTML
+   */
+  renderProviderSection(Engine) {
+    const fields = Engine.settingsFields.map(field => {
+      const id = `jv-${Engine.id}-${field.key}`;
+      if (field.type === 'secret') {
+        return `
+          <div class="jv-input-group">
+            <label class="jv-label">${field.label}</label>
+            <div class="jv-input-wrapper">
+              <input type="password" id="${id}" class="jv-input" placeholder="${field.placeholder || ''}" />
+              <button class="jv-btn-save jv-key-save" data-provider="${Engine.id}" data-field="${field.key}">Save</button>
+              <button class="jv-btn-remove" data-provider="${Engine.id}" data-field="${field.key}" title="Remove saved key">✕</button>
+            </div>
+            <div class="jv-connection-status" id="jv-status-${Engine.id}-${field.key}"></div>
+          </div>`;
+      }
+      if (field.type === 'textarea') {
+        return `
+          <div class="jv-input-group">
+            <label class="jv-label">${field.label}</label>
+            <textarea id="${id}" class="jv-input jv-provider-field" rows="3" data-provider="${Engine.id}" data-field="${field.key}" placeholder='${field.placeholder || ''}'></textarea>
+          </div>`;
+      }
+      if (field.type === 'select') {
+        const options = field.options
+          .map(o => `<option value="${o.value}"${o.value === field.default ? ' selected' : ''}>${o.label}</option>`)
+          .join('');
+        return `
+          <div class="jv-input-group">
+            <label class="jv-label">${field.label}</label>
+            <select id="${id}" class="jv-select jv-provider-field" data-provider="${Engine.id}" data-field="${field.key}">${options}</select>
+          </div>`;
+      }
+      return `
+          <div class="jv-input-group">
+            <label class="jv-label">${field.label}</label>
+            <input type="text" id="${id}" class="jv-input jv-provider-field" data-provider="${Engine.id}" data-field="${field.key}" placeholder="${field.placeholder || ''}" />
+          </div>`;
+    }).join('');
+
+    return `
+        <div class="jv-provider-section" id="section-${Engine.id}" style="display:none">${fields}
+        </div>`;
+  }
+
   setupEventListeners() {
     this.setupDrag();
 
@@ -3766,11 +6152,26 @@ class UIPanel {
       console.log('[Janitor Voice] Cinematic Mode:', e.target.checked ? 'ON' : 'OFF');
     });
 
+    // Auto-read
+    this.panel.querySelector('#jv-autoread-toggle').addEventListener('change', (e) => {
+      this.controller.setAutoRead(e.target.checked);
+    });
+    this.panel.querySelector('#jv-autoread-cinematic-toggle').addEventListener('change', (e) => {
+      this.controller.setAutoReadCinematic(e.target.checked);
+    });
+    this.panel.querySelector('#jv-autoread-streaming-toggle').addEventListener('change', (e) => {
+      this.controller.setAutoReadWhileStreaming(e.target.checked);
+    });
+    this.panel.querySelector('#jv-autoread-swipes-toggle').addEventListener('change', (e) => {
+      this.controller.setAutoReadSwipes(e.target.checked);
+    });
+
     // Min/Close
     this.panel.querySelector('#jv-minimize').addEventListener('click', () => {
       this.isMinimized = !this.isMinimized;
       this.panel.querySelector('#jv-body').style.display = this.isMinimized ? 'none' : 'flex';
       this.panel.querySelector('#jv-minimize').textContent = this.isMinimized ? '+' : '−';
+      if (!this.isMinimized) this.refreshCacheStats();
     });
     this.panel.querySelector('#jv-close').addEventListener('click', () => {
       this.panel.style.display = 'none';
@@ -3778,18 +6179,56 @@ class UIPanel {
       // Just hide UI. Extension remains active in background.
     });
 
-    // Rate / Pitch
+    // Rate / Pitch / Volume: labels follow the drag, the value is saved when it ends
+    // (chrome.storage.sync allows 120 writes a minute)
     const rateEl = this.panel.querySelector('#jv-rate');
     rateEl.addEventListener('input', (e) => {
-      const val = parseFloat(e.target.value);
-      this.panel.querySelector('#jv-rate-value').textContent = val.toFixed(1) + 'x';
-      this.controller.setRate(val);
+      this.panel.querySelector('#jv-rate-value').textContent = parseFloat(e.target.value).toFixed(1) + 'x';
+    });
+    rateEl.addEventListener('change', (e) => {
+      this.controller.setRate(parseFloat(e.target.value));
+    });
+    const concurrencyEl = this.panel.querySelector('#jv-concurrency');
+    concurrencyEl.addEventListener('input', (e) => {
+      this.panel.querySelector('#jv-concurrency-value').textContent = parseInt(e.target.value, 10);
+    });
+    concurrencyEl.addEventListener('change', (e) => {
+      this.controller.setGenerationConcurrency(parseInt(e.target.value, 10));
     });
     const pitchEl = this.panel.querySelector('#jv-pitch');
     pitchEl.addEventListener('input', (e) => {
-      const val = parseFloat(e.target.value);
-      this.panel.querySelector('#jv-pitch-value').textContent = val.toFixed(1);
-      this.controller.setPitch(val);
+      this.panel.querySelector('#jv-pitch-value').textContent = parseFloat(e.target.value).toFixed(1);
+    });
+    pitchEl.addEventListener('change', (e) => {
+      this.controller.setPitch(parseFloat(e.target.value));
+    });
+    const volumeEl = this.panel.querySelector('#jv-volume');
+    volumeEl.addEventListener('input', (e) => {
+      this.panel.querySelector('#jv-volume-value').textContent = Math.round(parseFloat(e.target.value) * 100) + '%';
+    });
+    volumeEl.addEventListener('change', (e) => {
+      this.controller.setVolume(parseFloat(e.target.value));
+    });
+    this.panel.querySelector('#jv-normalize-toggle').addEventListener('change', (e) => {
+      this.controller.setNormalizeLoudness(e.target.checked);
+    });
+
+    this.panel.querySelector('#jv-character-offsets').addEventListener('change', (e) => {
+      try {
+        this.controller.setCharacterOffsets(e.target.value);
+        this.updateStatus('✓ Character adjustments saved');
+      } catch (error) {
+        this.updateStatus(`⚠ Character adjustments not saved: ${error.message}`);
+      }
+    });
+
+    // Page selectors: live match count while typing, saved on change
+    this.panel.querySelectorAll('.jv-selector').forEach(input => {
+      input.addEventListener('input', () => this.showSelectorCount(input.dataset.key));
+      input.addEventListener('change', () => this.saveSelector(input.dataset.key));
+    });
+    this.panel.querySelectorAll('.jv-btn-pick').forEach(button => {
+      button.addEventListener('click', () => this.pickSelector(button.dataset.key));
     });
 
     // Voice Select
@@ -3797,20 +6236,61 @@ class UIPanel {
       this.controller.setVoice(e.target.value);
     });
 
-    // API Keys
-    this.panel.querySelector('#jv-save-eleven').addEventListener('click', () => {
-      const val = this.panel.querySelector('#jv-eleven-key').value.trim();
-      this.controller.setElevenLabsKey(val);
-      this.updateKeyStatus('eleven', !!val);
-      // Refresh voices
-      this.populateVoices();
+    // Your own messages
+    this.panel.querySelector('#jv-read-user-toggle').addEventListener('change', (e) => {
+      this.controller.setReadUserMessages(e.target.checked);
     });
-    this.panel.querySelector('#jv-save-unreal').addEventListener('click', () => {
-      const val = this.panel.querySelector('#jv-unreal-key').value.trim();
-      this.controller.setUnrealKey(val);
-      this.updateKeyStatus('unreal', !!val);
-      // Refresh voices
-      this.populateVoices();
+    this.panel.querySelector('#jv-user-voice').addEventListener('change', (e) => {
+      this.controller.setUserVoice(e.target.value);
+    });
+
+    // API Keys - handed to the background worker and cleared from the page input.
+    // An empty input never removes a key; that takes the explicit remove button.
+    this.panel.querySelectorAll('.jv-key-save').forEach(button => {
+      button.addEventListener('click', () => {
+        const { provider, field } = button.dataset;
+        const val = this.panel.querySelector(`#jv-${provider}-${field}`).value.trim();
+        if (val) this.saveKey(provider, field, val);
+      });
+    });
+    this.panel.querySelectorAll('.jv-btn-remove').forEach(button => {
+      button.addEventListener('click', () => this.saveKey(button.dataset.provider, button.dataset.field, ''));
+    });
+
+    // Transport buttons
+    this.panel.querySelectorAll('.jv-btn-transport').forEach(button => {
+      button.addEventListener('click', () => this.controller.handleCommand(button.dataset.command));
+    });
+
+    // Audio cache
+    this.panel.querySelector('#jv-clear-cache').addEventListener('click', async () => {
+      try {
+        await this.controller.clearAudioCache();
+        this.updateStatus('✓ Audio cache cleared');
+      } catch (e) {
+        console.error('[Janitor Voice] Clear cache error:', e);
+        this.updateStatus('⚠ Could not clear the audio cache');
+      }
+      this.refreshCacheStats();
+    });
+
+    // Fallback chain (in select order, empty slots skipped)
+    this.panel.querySelectorAll('.jv-fallback').forEach(select => {
+      select.addEventListener('change', () => {
+        const chain = Array.from(this.panel.querySelectorAll('.jv-fallback'))
+          .map(el => el.value)
+          .filter(Boolean);
+        this.controller.setFallbackChain(chain);
+      });
+    });
+
+    // Other provider settings (model, server URL, ...)
+    this.panel.querySelectorAll('.jv-provider-field').forEach(input => {
+      input.addEventListener('change', () => {
+        const { provider, field } = input.dataset;
+        this.controller.setProviderConfig(provider, field, input.value.trim());
+        this.populateVoices();
+      });
     });
 
     // Tabs
@@ -3853,14 +6333,15 @@ class UIPanel {
     });
 
     // Show/Hide sections
-    this.panel.querySelector(`#section-${CONFIG.PROVIDERS.WEB}`).style.display =
-      (provider === CONFIG.PROVIDERS.WEB) ? 'block' : 'none';
-
-    this.panel.querySelector(`#section-${CONFIG.PROVIDERS.ELEVEN}`).style.display =
-      (provider === CONFIG.PROVIDERS.ELEVEN) ? 'block' : 'none';
+    this.panel.querySelectorAll('.jv-provider-section').forEach(section => {
+      section.style.display = section.id === `section-${provider}` ? 'block' : 'none';
+    });
 
-    this.panel.querySelector(`#section-${CONFIG.PROVIDERS.UNREAL}`).style.display =
-      (provider === CONFIG.PROVIDERS.UNREAL) ? 'block' : 'none';
+    // Shared controls only for providers that honor them
+    const engine = TTSRegistry.get(provider);
+    const capabilities = engine ? engine.capabilities : {};
+    this.panel.querySelector('#jv-rate-control').style.display = capabilities.rate ? 'block' : 'none';
+    this.panel.querySelector('#jv-pitch-control').style.display = capabilities.pitch ? 'block' : 'none';
 
     // Update Controller
     this.controller.setProvider(provider);
@@ -3871,8 +6352,10 @@ class UIPanel {
 
   async populateVoices() {
     const select = this.panel.querySelector('#jv-voice');
+    const userSelect = this.panel.querySelector('#jv-user-voice');
     select.innerHTML = '<option>Loading voices...</option>';
     select.disabled = true;
+    userSelect.innerHTML = '<option value="">Same as Voice Model</option>';
 
     try {
       const voices = await this.controller.getVoices();
@@ -3897,37 +6380,206 @@ class UIPanel {
       const current = this.controller.getSettings().voiceURI;
       if (current) select.value = current;
 
+      // Player voice: same list
+      voices.forEach(v => {
+        const opt = document.createElement('option');
+        opt.value = v.voiceURI;
+        opt.textContent = `${v.name}`;
+        userSelect.appendChild(opt);
+      });
+      userSelect.value = this.controller.getSettings().userVoiceURI || '';
+
     } catch (e) {
       console.error(e);
       select.innerHTML = '<option>Error loading voices</option>';
     }
   }
 
+  /**
+   * Show how many elements a selector input (or the adapter's default) matches
+   * @param {string} key - Selector key
+   */
+  showSelectorCount(key) {
+    const input = this.panel.querySelector(`.jv-selector[data-key="${key}"]`);
+    const label = this.panel.querySelector(`.jv-selector-count[data-key="${key}"]`);
+    const count = SiteAdapters.countMatches(input.value.trim() || SiteAdapters.current.selectors[key]);
+    label.textContent = count === -1 ? 'invalid' : `${count} match${count === 1 ? '' : 'es'}`;
+    label.classList.toggle('is-bad', count < 1);
+  }
+
+  saveSelector(key) {
+    const input = this.panel.querySelector(`.jv-selector[data-key="${key}"]`);
+    if (this.controller.setSelectorOverride(key, input.value)) {
+      this.updateStatus(input.value.trim() ? `✓ ${SiteAdapters.LABELS[key]} selector saved` : `${SiteAdapters.LABELS[key]} selector reset`);
+    } else {
+      this.updateStatus(`⚠ Invalid selector for ${SiteAdapters.LABELS[key]}`);
+    }
+    this.showSelectorCount(key);
+  }
+
+  /**
+   * Pick an element on the page and use the selector derived from it
+   * @param {string} key - Selector key
+   */
+  async pickSelector(key) {
+    this.updateStatus(`🎯 Click the ${SiteAdapters.LABELS[key].toLowerCase()} on the page (Esc to cancel)`);
+    const element = await this.picker.pick();
+    if (!element) {
+      this.updateStatus('Pick cancelled');
+      return;
+    }
+
+    const selector = this.picker.derive(key, element);
+    if (!selector) {
+      this.updateStatus(`⚠ No stable selector found for that element`);
+      return;
+    }
+    this.panel.querySelector(`.jv-selector[data-key="${key}"]`).value = selector;
+    this.saveSelector(key);
+  }
+
+  /**
+   * Fill the selector inputs with the current site's overrides
+   */
+  loadSelectors() {
+    const overrides = this.controller.getSettings().selectorOverrides[SiteAdapters.current.id] || {};
+    this.panel.querySelectorAll('.jv-selector').forEach(input => {
+      input.value = overrides[input.dataset.key] || '';
+      this.showSelectorCount(input.dataset.key);
+    });
+  }
+
+  /**
+   * Reflect playlist state on its controls
+   * @param {Playlist} playlist
+   */
+  syncPlaylist(playlist) {
+    if (!this.panel) return;
+    const stopAfter = this.panel.querySelector('#jv-stop-after');
+    stopAfter.classList.toggle('is-active', playlist.stopAfterCurrent);
+    stopAfter.disabled = !playlist.active;
+  }
+
   loadSettings() {
     const s = this.controller.getSettings();
     this.panel.querySelector('#jv-toggle').checked = s.enabled;
     this.panel.querySelector('#jv-cinematic-toggle').checked = s.cinematicMode || false;
+    this.panel.querySelector('#jv-autoread-toggle').checked = s.autoRead;
+    this.panel.querySelector('#jv-autoread-cinematic-toggle').checked = s.autoReadCinematic;
+    this.panel.querySelector('#jv-autoread-streaming-toggle').checked = s.autoReadWhileStreaming;
+    this.panel.querySelector('#jv-autoread-swipes-toggle').checked = s.autoReadSwipes;
+    this.panel.querySelector('#jv-read-user-toggle').checked = s.readUserMessages;
     this.panel.querySelector('#jv-rate').value = s.rate;
     this.panel.querySelector('#jv-rate-value').textContent = s.rate.toFixed(1) + 'x';
     this.panel.querySelector('#jv-pitch').value = s.pitch;
     this.panel.querySelector('#jv-pitch-value').textContent = s.pitch.toFixed(1);
+    this.panel.querySelector('#jv-volume').value = s.volume;
+    this.panel.querySelector('#jv-volume-value').textContent = Math.round(s.volume * 100) + '%';
+    this.panel.querySelector('#jv-normalize-toggle').checked = s.normalizeLoudness;
+    this.panel.querySelector('#jv-concurrency').value = s.generationConcurrency;
+    this.panel.querySelector('#jv-concurrency-value').textContent = s.generationConcurrency;
+    const offsets = s.characterOffsets || {};
+    this.panel.querySelector('#jv-character-offsets').value = Object.keys(offsets).length > 0 ? JSON.stringify(offsets) : '';
+    this.loadSelectors();
+
+    // Keys are never sent back to the page; only show whether one is saved
+    this.refreshKeyStatus();
+    this.refreshCacheStats();
+
+    // Fallback chain
+    this.panel.querySelectorAll('.jv-fallback').forEach((select, index) => {
+      select.value = s.fallbackChain[index] || '';
+    });
 
-    this.panel.querySelector('#jv-eleven-key').value = s.elevenLabsKey || '';
-    this.panel.querySelector('#jv-unreal-key').value = s.unrealKey || '';
-
-    this.updateKeyStatus('eleven', !!s.elevenLabsKey);
-    this.updateKeyStatus('unreal', !!s.unrealKey);
+    // Provider settings
+    this.panel.querySelectorAll('.jv-provider-field').forEach(input => {
+      const { provider, field } = input.dataset;
+      const value = (s.providerConfig[provider] || {})[field];
+      if (value !== undefined) input.value = value;
+    });
 
     // Initial provider switch
-    this.switchProvider(s.provider || CONFIG.PROVIDERS.WEB);
+    this.switchProvider(TTSRegistry.has(s.provider) ? s.provider : CONFIG.DEFAULTS.provider);
+    this.updateStatus();
+  }
+
+  /**
+   * Reflect toggles changed outside the panel (keyboard commands)
+   */
+  syncToggles() {
+    const s = this.controller.getSettings();
+    this.panel.querySelector('#jv-toggle').checked = s.enabled;
+    this.panel.querySelector('#jv-cinematic-toggle').checked = s.cinematicMode || false;
+    this.panel.querySelector('#jv-autoread-toggle').checked = s.autoRead;
+    this.panel.querySelector('#jv-autoread-cinematic-toggle').checked = s.autoReadCinematic;
+    this.panel.querySelector('#jv-autoread-streaming-toggle').checked = s.autoReadWhileStreaming;
+    this.panel.querySelector('#jv-autoread-swipes-toggle').checked = s.autoReadSwipes;
+    this.panel.querySelector('#jv-read-user-toggle').checked = s.readUserMessages;
+    this.panel.querySelector('#jv-normalize-toggle').checked = s.normalizeLoudness;
     this.updateStatus();
   }
 
-  updateKeyStatus(provider, hasKey) {
-    const status = this.panel.querySelector(`#jv-status-${provider}`);
+  /**
+   * Show the audio cache size; skipped while the panel is closed or minimized
+   * (show() and expanding the panel refresh it)
+   */
+  async refreshCacheStats() {
+    const label = this.panel.querySelector('#jv-cache-stats');
+    if (!label.offsetParent) return;
+    try {
+      const { count, size } = await this.controller.getAudioCacheStats();
+      label.textContent = `${count} clip${count === 1 ? '' : 's'}, ${(size / (1024 * 1024)).toFixed(1)} MB`;
+    } catch (e) {
+      label.textContent = 'unavailable';
+    }
+  }
+
+  /**
+   * Show saved/missing state for every provider's secret fields
+   */
+  refreshKeyStatus() {
+    TTSRegistry.list().forEach(engine => {
+      engine.constructor.settingsFields
+        .filter(field => field.type === 'secret')
+        .forEach(field => this.updateKeyStatus(engine.id, field.key, SettingsManager.hasKey(field.secret)));
+    });
+  }
+
+  /**
+   * Save or remove one provider key; the input is only cleared once the
+   * background worker has stored it, and failures show in the status line
+   * @param {string} provider - Provider id
+   * @param {string} field - Secret field key
+   * @param {string} value - New key, or '' to remove the saved one
+   */
+  async saveKey(provider, field, value) {
+    try {
+      const hasKey = await this.controller.setProviderSecret(provider, field, value);
+      this.panel.querySelector(`#jv-${provider}-${field}`).value = '';
+      this.updateKeyStatus(provider, field, hasKey);
+      // Refresh voices
+      this.populateVoices();
+    } catch (error) {
+      console.error('[Janitor Voice] Save API key error:', error);
+      const status = this.panel.querySelector(`#jv-status-${provider}-${field}`);
+      status.textContent = `⚠ Could not save key: ${error.message}`;
+      status.className = 'jv-connection-status error';
+    }
+  }
+
+  updateKeyStatus(provider, field, hasKey) {
+    const status = this.panel.querySelector(`#jv-status-${provider}-${field}`);
+    if (!status) return;
+    const remove = this.panel.querySelector(`.jv-btn-remove[data-provider="${provider}"][data-field="${field}"]`);
+    if (remove) remove.style.display = hasKey ? '' : 'none';
+    const engine = TTSRegistry.get(provider);
+    const optional = engine && engine.constructor.settingsFields.some(f => f.key === field && f.optional);
     if (hasKey) {
-      status.textContent = '✓ Key Saved';
+      status.textContent = '✓ Key Saved (enter a new key to replace it, or ✕ to remove it)';
       status.className = 'jv-connection-status connected';
+    } else if (optional) {
+      status.textContent = 'No API Key (not required)';
+      status.className = 'jv-connection-status';
     } else {
       status.textContent = '⚠ No API Key';
       status.className = 'jv-connection-status error';
@@ -3946,6 +6598,7 @@ class UIPanel {
 
   show() {
     this.panel.style.display = 'block';
+    this.refreshCacheStats();
   }
 }
 
@@ -3953,39 +6606,591 @@ class UIPanel {
 // MESSAGE DETECTOR
 // ============================================================================
 
+/**
+ * Finds character messages and reports each one under a stable id
+ * The chat list is virtualized (Virtuoso): nodes are unmounted when scrolled
+ * away, remounted as new elements, and recycled for other messages, so a
+ * message is identified by getMessageId() rather than by its element. An
+ * element is reported again only when it starts showing a different message.
+ * isLive marks a message that just arrived at the bottom of the chat, as opposed
+ * to history (the first scan, older messages loaded while scrolling, or a whole
+ * chat rendered at once when switching chats).
+ * Text changes of reported messages are followed too, so a swipe or
+ * regenerate (content replaced, not appended) is reported as a change.
+ */
 class MessageDetector {
-  constructor(onNewMessage) {
+  /**
+   * @param {function(Element, string, boolean)} onNewMessage - (element, id, isLive)
+   * @param {function(Element, string)} [onMessageChanged] - (element, id) content replaced
+   */
+  constructor(onNewMessage, onMessageChanged) {
     this.onNewMessage = onNewMessage;
+    this.onMessageChanged = onMessageChanged || (() => {});
     this.observer = null;
+    this.container = null;
+    this.scanScheduled = false;
+    this.fullScanPending = false;
+    this.changed = new Set(); // Message elements whose content changed since the last check
+    this.texts = new Map(); // id -> last known text
+    this.seen = new Set(); // Message ids found so far
+    this.order = []; // Message ids in conversation order, including unmounted ones
+    this.ids = new WeakMap(); // element -> id (keeps text-hash ids stable while a message streams)
+    this.reported = new WeakMap(); // element -> id last passed to onNewMessage
+    this.initialScanDone = false;
   }
   start() {
     const check = () => {
-      const container = document.querySelector(CONFIG.SELECTORS.chatContainer) || document.body;
+      const container = document.querySelector(SiteAdapters.selector('chatContainer')) || document.body;
       if (!container) return;
+      this.container = container;
       this.scan(container);
+      this.initialScanDone = true;
       this.observer = new MutationObserver((mutations) => {
-        // Basic optimization: only scan if nodes added
-        const hasNodes = mutations.some(m => m.addedNodes.length > 0);
-        if (hasNodes) this.scan(container);
+        // Nodes added, or a Virtuoso item recycled for another index: look for messages again
+        let full = false;
+        mutations.forEach(m => {
+          if (m.addedNodes.length > 0 || m.type === 'attributes') full = true;
+          this.markChanged(m.target);
+        });
+        if (full || this.changed.size > 0) this.scheduleScan(full);
+      });
+      this.observer.observe(container, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: SiteAdapters.messageIdAttributes()
       });
-      this.observer.observe(container, { childList: true, subtree: true });
     };
-    if (!document.querySelector(CONFIG.SELECTORS.chatContainer)) setTimeout(check, 2000);
+    if (!document.querySelector(SiteAdapters.selector('chatContainer'))) setTimeout(check, 2000);
     else check();
   }
-  scan(root) {
-    const messages = root.querySelectorAll(CONFIG.SELECTORS.characterMessage);
-    messages.forEach(msg => {
-      const text = this.extractText(msg);
-      if (text) this.onNewMessage(msg, text);
-    });
+
+  /**
+   * Coalesce mutation bursts (streaming, list re-renders) into one pass per frame
+   * @param {boolean} [full] - Scan for messages; otherwise only re-check changed text
+   */
+  scheduleScan(full = true) {
+    this.fullScanPending = this.fullScanPending || full;
+    if (this.scanScheduled) return;
+    this.scanScheduled = true;
+    requestAnimationFrame(() => {
+      const scan = this.fullScanPending;
+      this.scanScheduled = false;
+      this.fullScanPending = false;
+      if (scan) this.scan(this.container);
+      else this.checkChanged();
+    });
+  }
+
+  /**
+   * Observe the chat again after the site's selectors changed
+   */
+  restart() {
+    if (this.observer) this.observer.disconnect();
+    this.observer = null;
+    this.reported = new WeakMap();
+    this.start();
+  }
+
+  /**
+   * Report every message again (e.g. voice re-enabled, so buttons are injected)
+   */
+  rescan() {
+    this.reported = new WeakMap();
+    if (this.container) this.scan(this.container);
+  }
+
+  scan(root) {
+    const messages = Array.from(root.querySelectorAll(SiteAdapters.selector('characterMessage')));
+    const claimed = new Set();
+    const found = messages.map(element => {
+      let id = this.getMessageId(element);
+      if (claimed.has(id)) {
+        // Same id twice in the list (repeated text): number the repeats
+        let n = 2;
+        while (claimed.has(`${id}#${n}`)) n++;
+        id = `${id}#${n}`;
+      }
+      claimed.add(id);
+      this.ids.set(element, id);
+      return { element, id };
+    });
+    this.mergeOrder(found.map(({ id }) => id));
+
+    const unseen = found.filter(({ id }) => !this.seen.has(id));
+    const last = found[found.length - 1];
+    unseen.forEach(({ id }) => this.seen.add(id));
+
+    // Exactly one new character message, at the bottom: a reply arriving (not a history load)
+    const live = this.initialScanDone && unseen.length === 1 && unseen[0] === last && !this.isUserMessage(last.element) ? last : null;
+
+    found.forEach(message => {
+      const { element, id } = message;
+      if (this.reported.get(element) === id) return;
+      // Empty messages are reported once they have text, unless they are the live reply
+      if (message !== live && !this.extractText(element)) return;
+      this.reported.set(element, id);
+      this.changed.add(element); // Record its text (or notice it changed while unmounted)
+      this.onNewMessage(element, id, message === live);
+    });
+
+    this.checkChanged();
+  }
+
+  /**
+   * Fold the mounted messages (a window of the conversation) into this.order
+   * New ids go right after the id before them in the window, or before the
+   * first known one when history was loaded above. A window with no known
+   * ids (scrolled past everything seen) is placed by its item index.
+   * @param {string[]} ids - Mounted message ids, in document order
+   */
+  mergeOrder(ids) {
+    let at = -1; // Position in this.order of the previous id of the window
+    ids.forEach((id, i) => {
+      const known = this.order.indexOf(id);
+      if (known !== -1) {
+        at = known;
+        return;
+      }
+      if (at === -1) {
+        let next = ids.slice(i + 1).map(later => this.order.indexOf(later)).find(index => index !== -1);
+        if (next === undefined) {
+          const index = this.getItemIndex(id);
+          next = index === null ? -1 : this.order.findIndex(other => this.getItemIndex(other) > index);
+        }
+        at = (next === -1 ? this.order.length : next) - 1;
+      }
+      this.order.splice(++at, 0, id);
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {number|null} The list index in a Virtuoso item id
+   */
+  getItemIndex(id) {
+    const match = /^data-(?:item-)?index:(-?\d+)$/.exec(id);
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Note the message containing a mutated node
+   * @param {Node} node
+   */
+  markChanged(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    const message = element && element.closest(SiteAdapters.selector('characterMessage'));
+    if (message) this.changed.add(message);
+  }
+
+  // Re-read changed messages and report the ones whose content was replaced
+  checkChanged() {
+    this.changed.forEach(element => {
+      const id = this.reported.get(element);
+      if (!id || !element.isConnected) return;
+
+      const text = this.extractText(element);
+      const previous = this.texts.get(id);
+      this.texts.set(id, text);
+      if (previous && text !== previous && this.isReplaced(previous, text)) {
+        this.onMessageChanged(element, id);
+      }
+    });
+    this.changed.clear();
+  }
+
+  /**
+   * Whether new text replaces a message rather than extending it
+   * Streaming appends, and markdown rendering can rewrite the tail as it
+   * streams (a raw *asterisk* becomes emphasis), so markdown markers and
+   * whitespace are ignored and only a difference within the first half counts.
+   * @param {string} previous
+   * @param {string} text
+   * @returns {boolean}
+   */
+  isReplaced(previous, text) {
+    const normalize = (value) => value.replace(/[*_~`]/g, '').replace(/\s+/g, ' ').trim();
+    previous = normalize(previous);
+    text = normalize(text);
+    if (!previous) return false;
+    const shorter = Math.min(previous.length, text.length);
+    let common = 0;
+    while (common < shorter && previous[common] === text[common]) common++;
+    return common < Math.max(1, shorter / 2);
+  }
+
+  /**
+   * Stable id for a message element: an id attribute on the message or an
+   * ancestor (the site's messageIdAttributes), else a hash of its text - kept
+   * for the element once assigned, as the text grows while streaming
+   * @param {Element} element
+   * @returns {string}
+   */
+  getMessageId(element) {
+    for (const attribute of SiteAdapters.messageIdAttributes()) {
+      const holder = element.closest(`[${attribute}]`);
+      if (holder) return `${attribute}:${holder.getAttribute(attribute)}`;
+    }
+    return this.ids.get(element) || `text:${this.hashText(this.extractText(element))}`;
+  }
+
+  /**
+   * FNV-1a hash of a message's text
+   * @param {string} text
+   * @returns {string}
+   */
+  hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+  isUserMessage(element) {
+    const selector = SiteAdapters.selector('userMessage');
+    return element.matches(selector) || !!element.querySelector(selector);
+  }
+  extractText(element) {
+    const paras = element.querySelectorAll('p');
+    if (paras.length > 0) return Array.from(paras).map(p => p.textContent).join('\n');
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('button, script, style, ._messageControls_').forEach(el => el.remove());
+    return clone.textContent.trim();
+  }
+}
+
+// ============================================================================
+// STREAMING READER
+// ============================================================================
+
+/**
+ * Turns a message that is still streaming into a queue of finished text
+ * A sentence is emitted once the next one has started (so its punctuation is
+ * final) and never inside an open "quote", so dialogue reaches the script
+ * parser whole. The rest is emitted, and the queue closed, once the message
+ * stops changing for CONFIG.AUTO_READ_SETTLE_MS.
+ */
+class StreamingReader {
+  /**
+   * @param {Element} element - Message element being streamed into
+   * @param {function(Element): string} extractText
+   */
+  constructor(element, extractText) {
+    this.element = element;
+    this.extractText = extractText;
+    this.segments = new AsyncQueue(); // Finished text, in order
+    this.emitted = 0; // Characters of the message already emitted
+    this.observer = null;
+    this.timer = null;
+  }
+
+  start() {
+    this.observer = new MutationObserver(() => this.update());
+    this.observer.observe(this.element, { childList: true, subtree: true, characterData: true });
+    this.update();
+  }
+
+  update() {
+    if (!this.element.isConnected) {
+      this.finish();
+      return;
+    }
+
+    const text = this.extractText(this.element);
+    const end = this.completeLength(text);
+    if (end > this.emitted) this.emit(text.slice(this.emitted, end), end);
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.finish(), CONFIG.AUTO_READ_SETTLE_MS);
+  }
+
+  /**
+   * Length of the text that can't change any more: up to the last sentence start
+   * past what was emitted, outside quotes
+   */
+  completeLength(text) {
+    const starts = sentenceStarts(text).filter(start => start > this.emitted);
+    for (let i = starts.length - 1; i >= 0; i--) {
+      const quotes = (text.slice(0, starts[i]).match(/"/g) || []).length;
+      if (quotes % 2 === 0) return starts[i];
+    }
+    return this.emitted;
+  }
+
+  emit(segment, end) {
+    this.emitted = end;
+    if (segment.trim()) this.segments.push(segment.trim());
+  }
+
+  // Message settled (or was removed): emit the remainder and close
+  finish() {
+    if (this.segments.closed) return;
+    this.disconnect();
+    if (this.element.isConnected) {
+      const text = this.extractText(this.element);
+      if (text.length > this.emitted) this.emit(text.slice(this.emitted), text.length);
+    }
+    console.log(`[StreamingReader] Message finished (${this.emitted} characters)`);
+    this.segments.close();
+  }
+
+  // Abandon the message (playback stopped)
+  stop() {
+    this.disconnect();
+    this.segments.abort();
+  }
+
+  disconnect() {
+    if (this.observer) this.observer.disconnect();
+    this.observer = null;
+    clearTimeout(this.timer);
+  }
+}
+
+// ============================================================================
+// AUTO READ
+// ============================================================================
+
+/**
+ * Speaks live character messages without a click
+ * With autoReadWhileStreaming, a reply arriving while nothing plays is read as
+ * it streams (StreamingReader). Otherwise each message is watched until it
+ * stops changing (the reply finished streaming), then queued; queued messages
+ * play one after another whenever the controller is idle.
+ */
+class AutoReader {
+  constructor(controller) {
+    this.controller = controller;
+    this.queue = []; // Settled message elements waiting to play
+    this.watching = new Map(); // element -> { observer, timer }
+  }
+
+  /**
+   * Start watching a live message
+   * @param {Element} element
+   */
+  watch(element) {
+    if (this.watching.has(element) || this.queue.includes(element)) return;
+
+    // Nothing playing: start speaking while the reply is still streaming
+    const { settings } = this.controller;
+    if (settings.autoReadWhileStreaming && this.controller.playbackState === 'IDLE' &&
+      this.controller.playStreaming(element, { cinematic: settings.autoReadCinematic })) {
+      return;
+    }
+
+    const watch = { observer: null, timer: null };
+    const settle = () => {
+      clearTimeout(watch.timer);
+      watch.timer = setTimeout(() => this.settled(element), CONFIG.AUTO_READ_SETTLE_MS);
+    };
+
+    watch.observer = new MutationObserver(settle);
+    watch.observer.observe(element, { childList: true, subtree: true, characterData: true });
+    this.watching.set(element, watch);
+    settle();
+    console.log('[AutoReader] Watching new message until it finishes streaming');
+  }
+
+  settled(element) {
+    this.unwatch(element);
+    if (!element.isConnected) return;
+
+    console.log('[AutoReader] Message settled, queued for reading');
+    this.queue.push(element);
+    this.playNext();
+  }
+
+  unwatch(element) {
+    const watch = this.watching.get(element);
+    if (!watch) return;
+    watch.observer.disconnect();
+    clearTimeout(watch.timer);
+    this.watching.delete(element);
+  }
+
+  /**
+   * Play the next queued message if nothing is playing
+   * Called when a message settles and when playback ends on its own
+   */
+  playNext() {
+    if (this.controller.playbackState !== 'IDLE') return;
+
+    while (this.queue.length > 0) {
+      const element = this.queue.shift();
+      if (this.controller.playMessage(element, { cinematic: this.controller.settings.autoReadCinematic })) return;
+    }
+  }
+
+  /**
+   * Drop everything queued or being watched (user stopped, or auto-read turned off)
+   */
+  clear() {
+    Array.from(this.watching.keys()).forEach(element => this.unwatch(element));
+    this.queue = [];
+  }
+}
+
+// ============================================================================
+// PLAYLIST
+// ============================================================================
+
+/**
+ * Play-from-here: reads a message and every message after it
+ * Walks MessageDetector.order (messages with a mic button only), so it keeps
+ * its place when Virtuoso unmounts messages. A next message that isn't
+ * mounted (or hasn't been seen yet) is brought in by scrolling the chat
+ * toward it; the message being read is scrolled into view.
+ */
+class Playlist {
+  constructor(controller) {
+    this.controller = controller;
+    this.active = false;
+    this.currentId = null;
+    this.stopAfterCurrent = false;
+    this.token = 0; // Bumped to cancel a pending reveal
+  }
+
+  /**
+   * Start reading from a message
+   * @param {Object} item - MicButtonInjector item
+   */
+  start(item) {
+    this.active = true;
+    this.stopAfterCurrent = false;
+    this.token++;
+    this.controller.uiPanel.syncPlaylist(this);
+    console.log('[Playlist] Playing from', item.id);
+    this.play(item);
+  }
+
+  /**
+   * Whether the playlist is reading the message with this button
+   * @param {HTMLButtonElement} button
+   */
+  owns(button) {
+    const item = this.active ? this.controller.injector.items.get(this.currentId) : null;
+    return !!item && item.button === button;
+  }
+
+  /**
+   * The current message ended: continue with the next one
+   */
+  next() {
+    if (this.stopAfterCurrent) {
+      this.finish('⏹ Stopped after message');
+      return;
+    }
+    this.jump(1);
+  }
+
+  /**
+   * Play the message offset messages away from the current one
+   * @param {number} offset - 1 next, -1 previous
+   */
+  async jump(offset) {
+    const token = ++this.token;
+    const item = await this.reveal(offset);
+    if (token !== this.token || !this.active) return;
+
+    if (!item) {
+      this.finish(offset > 0 ? '✓ Reached the last message' : 'Already at the first message');
+      return;
+    }
+    this.play(item);
+  }
+
+  play(item) {
+    this.currentId = item.id;
+    const { element } = item;
+    const tall = element.getBoundingClientRect().height > window.innerHeight * 0.8;
+    element.scrollIntoView({ block: tall ? 'start' : 'center', behavior: 'smooth' });
+
+    // Empty message (e.g. an image): move on
+    if (!this.controller.playMessage(element)) this.jump(1);
+  }
+
+  /**
+   * Message ids with a mic button, in conversation order
+   * @returns {string[]}
+   */
+  getOrder() {
+    const { items } = this.controller.injector;
+    return this.controller.detector.order.filter(id => items.has(id));
+  }
+
+  /**
+   * Find the message offset messages away, scrolling the chat until it is mounted
+   * @param {number} offset
+   * @returns {Promise<Object|null>} Its MicButtonInjector item, or null past either end
+   */
+  async reveal(offset) {
+    const token = this.token;
+    for (let attempt = 0; attempt < CONFIG.PLAYLIST_REVEAL_ATTEMPTS; attempt++) {
+      const order = this.getOrder();
+      const index = order.indexOf(this.currentId);
+      if (index === -1) return null;
+
+      const target = index + offset;
+      const item = this.controller.injector.items.get(order[target]);
+      if (item && item.element && item.element.isConnected) return item;
+
+      // Scroll toward it: past the mounted window if it is unseen, else in its direction
+      const mounted = order
+        .map((id, i) => ({ item: this.controller.injector.items.get(id), i }))
+        .filter(entry => entry.item.element && entry.item.element.isConnected);
+      if (mounted.length === 0) return null;
+      const direction = item ? (target > mounted[mounted.length - 1].i ? 1 : -1) : Math.sign(offset);
+
+      const scroller = this.getScroller(mounted[0].item.element);
+      const before = scroller.scrollTop;
+      scroller.scrollBy(0, direction * scroller.clientHeight * 0.8);
+      if (!item && scroller.scrollTop === before) return null; // At the end of the chat
+
+      await new Promise(resolve => setTimeout(resolve, CONFIG.PLAYLIST_REVEAL_MS));
+      if (token !== this.token) return null;
+    }
+    console.warn('[Playlist] Next message never rendered');
+    return null;
+  }
+
+  /**
+   * Nearest scrollable ancestor of a message (the Virtuoso scroller)
+   * @param {Element} element
+   * @returns {Element}
+   */
+  getScroller(element) {
+    for (let el = element.parentElement; el; el = el.parentElement) {
+      const overflow = getComputedStyle(el).overflowY;
+      if ((overflow === 'auto' || overflow === 'scroll') && el.scrollHeight > el.clientHeight) return el;
+    }
+    return document.scrollingElement;
+  }
+
+  toggleStopAfterCurrent() {
+    this.stopAfterCurrent = !this.stopAfterCurrent;
+    this.controller.uiPanel.syncPlaylist(this);
+  }
+
+  /**
+   * Playlist ran out (or was told to stop after the current message)
+   * @param {string} status
+   */
+  finish(status) {
+    this.stop();
+    this.controller.uiPanel.updateStatus(status);
+    this.controller.autoReader.playNext();
   }
-  extractText(element) {
-    const paras = element.querySelectorAll('p');
-    if (paras.length > 0) return Array.from(paras).map(p => p.textContent).join('\n');
-    const clone = element.cloneNode(true);
-    clone.querySelectorAll('button, script, style, ._messageControls_').forEach(el => el.remove());
-    return clone.textContent.trim();
+
+  // End the playlist without touching playback
+  stop() {
+    this.active = false;
+    this.stopAfterCurrent = false;
+    this.currentId = null;
+    this.token++;
+    this.controller.uiPanel.syncPlaylist(this);
   }
 }
 
@@ -3995,60 +7200,95 @@ class MessageDetector {
 
 class VoiceController {
   constructor() {
-    this.engines = {
-      [CONFIG.PROVIDERS.WEB]: new WebSpeechTTS(),
-      [CONFIG.PROVIDERS.ELEVEN]: new ElevenLabsTTS(),
-      [CONFIG.PROVIDERS.UNREAL]: new UnrealSpeechTTS()
-    };
-
     this.overlay = new OverlayManager();
     this.uiPanel = null;
     this.injector = null;
     this.detector = null;
+    this.autoReader = new AutoReader(this);
+    this.playlist = new Playlist(this);
     this.highlighter = new HighlightManager();
-    this.settings = StorageManager.loadSettings();
+    this.settings = null; // Loaded in init()
 
     this.currentButton = null;
+    this.currentElement = null;
+    this.currentText = null;
+    this.fallbackNote = null; // "via <provider>" once a chunk used a fallback
+    this.cacheHits = 0; // Chunks of the current message served from the audio cache
     this.playbackState = 'IDLE';
   }
 
   async init() {
-    await this.engines[CONFIG.PROVIDERS.WEB].initialize();
+    this.settings = await SettingsManager.load();
+    await Promise.all(TTSRegistry.list().map(engine => engine.initialize()));
 
-    // Initialize keys
-    this.engines[CONFIG.PROVIDERS.ELEVEN].setApiKey(this.settings.elevenLabsKey);
-    this.engines[CONFIG.PROVIDERS.UNREAL].setApiKey(this.settings.unrealKey);
+    // Provider settings and key presence (requests go through the background worker)
+    TTSRegistry.configureAll(this.settings.providerConfig, SettingsManager.keyStatus);
+    AudioEngine.normalize = this.settings.normalizeLoudness;
+    SiteAdapters.setOverrides(this.settings.selectorOverrides);
 
     this.overlay.create();
     this.uiPanel = new UIPanel(this);
     this.uiPanel.create();
 
-    this.injector = new MicButtonInjector(this.overlay, (element, text, button) => {
-      this.handleInteraction(element, text, button);
+    this.injector = new MicButtonInjector(this.overlay, (button, options) => {
+      this.handleInteraction(button, options);
     });
 
-    this.detector = new MessageDetector((element, text) => {
-      if (this.settings.enabled) {
-        this.injector.inject(element, text);
+    this.detector = new MessageDetector((element, id, isLive) => {
+      if (!this.settings.enabled) return;
+      const user = this.detector.isUserMessage(element);
+      if (user && !this.settings.readUserMessages) return;
+
+      this.injector.inject(id, element, { user });
+      if (isLive && this.settings.autoRead) this.autoReader.watch(element);
+    }, (element, id) => this.messageChanged(element, id));
+    this.detector.start();
+
+    // Keep in step with changes made from other tabs
+    SettingsManager.subscribe((updates) => {
+      if ('keyStatus' in updates || 'providerConfig' in updates) {
+        TTSRegistry.configureAll(this.settings.providerConfig, SettingsManager.keyStatus);
+        this.uiPanel.refreshKeyStatus();
+      }
+      if ('enabled' in updates) {
+        if (updates.enabled) {
+          this.detector.rescan();
+        } else {
+          this.playlist.stop();
+          this.stop();
+        }
       }
+      if ('autoRead' in updates && !updates.autoRead) this.autoReader.clear();
+      if ('readUserMessages' in updates) this.updateUserMessageButtons();
+      if ('selectorOverrides' in updates) {
+        this.applySelectorOverrides();
+        this.uiPanel.loadSelectors();
+      }
+      if ('normalizeLoudness' in updates) AudioEngine.normalize = updates.normalizeLoudness;
+      this.uiPanel.syncToggles();
+    });
+
+    // Provider busy: requests are being retried
+    TTSBroker.onRetry(({ label, error, attempt, delay }) => {
+      if (!this.currentButton) return;
+      const reason = error.status ? error.status : 'network error';
+      this.uiPanel.updateStatus(`⏳ ${label} busy (${reason}) — retry ${attempt} in ${Math.ceil(delay / 1000)}s`);
     });
-    this.detector.start();
 
-    // Listener for popup messages
+    // Listener for popup messages and keyboard commands (via background.js)
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (request.action === 'SHOW_PANEL') {
         this.uiPanel.show();
+      } else if (request.action === 'COMMAND') {
+        this.handleCommand(request.command);
       }
     });
 
     // Use visibility change to pause/resume
     document.addEventListener('visibilitychange', () => {
       if (this.playbackState === 'PLAYING') {
-        const engine = this.getActiveEngine();
-        if (engine && typeof engine.pause === 'function') {
-          if (document.hidden) engine.pause();
-          else engine.resume();
-        }
+        if (document.hidden) this.pausePlayback();
+        else this.resumePlayback();
       }
     });
 
@@ -4056,32 +7296,49 @@ class VoiceController {
   }
 
   getActiveEngine() {
-    return this.engines[this.settings.provider] || this.engines[CONFIG.PROVIDERS.WEB];
+    return TTSRegistry.get(this.settings.provider) || TTSRegistry.get(CONFIG.DEFAULTS.provider);
   }
 
-  handleInteraction(element, text, button) {
+  /**
+   * Mic button clicked (or play/pause command): play, pause or resume its message
+   * The message's text is read now, not when the button was injected.
+   * @param {HTMLButtonElement} button
+   * @param {Object} [options]
+   * @param {boolean} [options.playFrom] - Shift+click: read this message and every one after it
+   */
+  handleInteraction(button, options = {}) {
+    if (options.playFrom) {
+      this.playFrom(button);
+      return;
+    }
+    // Playing another message (or stopping) by hand ends a playlist
+    if (!this.playlist.owns(button) || this.playbackState === 'IDLE') this.playlist.stop();
+
+    const replay = () => {
+      const item = this.injector.find(button);
+      if (!item || !this.playMessage(item.element)) {
+        this.uiPanel.updateStatus('Message is not available - scroll it into view');
+      }
+    };
+
     if (this.currentButton === button) {
       if (this.playbackState === 'PLAYING') {
-        // Not all engines support pause, but we try
-        const engine = this.getActiveEngine();
-        if (engine.pause) {
-          engine.pause();
+        if (this.pausePlayback()) {
           this.setPlaybackState(button, 'PAUSED');
         } else {
           // If pause not supported, just stop
+          this.playlist.stop();
           this.stop();
         }
       } else if (this.playbackState === 'PAUSED') {
-        const engine = this.getActiveEngine();
-        if (engine.resume) {
-          engine.resume();
+        if (this.resumePlayback()) {
           this.setPlaybackState(button, 'PLAYING');
         } else {
           // Replay if resume not supported
-          this.play(element, text, button);
+          replay();
         }
       } else {
-        this.play(element, text, button);
+        replay();
       }
       return;
     }
@@ -4090,34 +7347,383 @@ class VoiceController {
       this.stop();
     }
 
-    this.play(element, text, button);
+    replay();
+  }
+
+  /**
+   * Pause whatever is playing (cinematic consumer or the active engine)
+   * @returns {boolean} False if the engine can't pause
+   */
+  pausePlayback() {
+    if (this.cinematicConsumer) {
+      this.cinematicConsumer.pause();
+      return true;
+    }
+
+    const engine = this.getActiveEngine();
+    if (!engine || !engine.capabilities.pause) return false;
+    engine.pause();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} False if the engine can't resume
+   */
+  resumePlayback() {
+    if (this.cinematicConsumer) {
+      this.cinematicConsumer.resume();
+      return true;
+    }
+
+    const engine = this.getActiveEngine();
+    if (!engine || !engine.capabilities.pause) return false;
+    engine.resume();
+    return true;
+  }
+
+  /**
+   * Handle a keyboard command relayed from the background service worker
+   * @param {string} command - One of CONFIG.COMMANDS
+   */
+  handleCommand(command) {
+    console.log('[Janitor Voice] Command:', command);
+
+    switch (command) {
+      case CONFIG.COMMANDS.TOGGLE_VOICE:
+        this.setEnabled(!this.settings.enabled);
+        this.uiPanel.syncToggles();
+        return;
+
+      case CONFIG.COMMANDS.TOGGLE_CINEMATIC:
+        this.setCinematicMode(!this.settings.cinematicMode);
+        this.uiPanel.syncToggles();
+        this.uiPanel.updateStatus(this.settings.cinematicMode ? '🎬 Cinematic Mode ON' : 'Cinematic Mode OFF');
+        return;
+
+      case CONFIG.COMMANDS.STOP:
+        this.autoReader.clear();
+        this.playlist.stop();
+        this.stop();
+        return;
+
+      case CONFIG.COMMANDS.STOP_AFTER_CURRENT:
+        this.playlist.toggleStopAfterCurrent();
+        return;
+    }
+
+    if (!this.settings.enabled) return;
+
+    switch (command) {
+      case CONFIG.COMMANDS.PLAY_PAUSE:
+        if (this.currentButton) {
+          this.handleInteraction(this.currentButton);
+        } else {
+          this.playAdjacentMessage(0);
+        }
+        break;
+
+      case CONFIG.COMMANDS.SKIP:
+        this.skip();
+        break;
+
+      case CONFIG.COMMANDS.NEXT_MESSAGE:
+        this.playAdjacentMessage(1);
+        break;
+
+      case CONFIG.COMMANDS.PREVIOUS_MESSAGE:
+        this.playAdjacentMessage(-1);
+        break;
+
+      case CONFIG.COMMANDS.PLAY_FROM_HERE:
+        this.playFrom(this.currentButton);
+        break;
+
+      case CONFIG.COMMANDS.NEXT_BLOCK:
+        this.jumpBlock(1);
+        break;
+
+      case CONFIG.COMMANDS.PREVIOUS_BLOCK:
+        this.jumpBlock(-1);
+        break;
+
+      case CONFIG.COMMANDS.SEEK_FORWARD:
+        this.seek(CONFIG.SEEK_SECONDS);
+        break;
+
+      case CONFIG.COMMANDS.SEEK_BACK:
+        this.seek(-CONFIG.SEEK_SECONDS);
+        break;
+
+      default:
+        console.warn('[Janitor Voice] Unknown command:', command);
+    }
+  }
+
+  /**
+   * Skip the line currently being spoken
+   * Engines without chunk-level control just stop
+   */
+  skip() {
+    if (this.cinematicConsumer) {
+      this.cinematicConsumer.skip();
+      return;
+    }
+
+    if (this.currentButton) {
+      this.getActiveEngine().skip();
+    } else {
+      this.stop();
+    }
+  }
+
+  /**
+   * Move to the next/previous block of the current message
+   * Cinematic blocks are script lines; normal playback steps through chunks
+   * (sentences for Web Speech)
+   * @param {number} offset - -1 previous, 1 next
+   */
+  jumpBlock(offset) {
+    if (this.cinematicConsumer) {
+      this.cinematicConsumer.jumpBlock(offset);
+    } else if (this.currentButton) {
+      this.getActiveEngine().jumpBlock(offset);
+    }
+  }
+
+  /**
+   * Seek the current message
+   * @param {number} seconds - Positive to go forward, negative to go back
+   */
+  seek(seconds) {
+    if (this.cinematicConsumer) {
+      this.cinematicConsumer.seek(seconds);
+    } else if (this.currentButton) {
+      this.getActiveEngine().seek(seconds);
+    }
+  }
+
+  /**
+   * Read a message and every message after it
+   * @param {HTMLButtonElement|null} button - Mic button to start from; null starts
+   *   from the first message on screen
+   */
+  playFrom(button) {
+    const item = button ? this.injector.find(button) : this.getFirstVisibleItem();
+    if (!item || !item.element || !item.element.isConnected) {
+      this.uiPanel.updateStatus('No message on screen to play from');
+      return;
+    }
+    this.playlist.start(item);
+  }
+
+  /**
+   * @returns {Object|null} The first mic button item whose message is on screen
+   */
+  getFirstVisibleItem() {
+    const visible = Array.from(this.injector.items.values()).filter(item => {
+      if (!item.element || !item.element.isConnected) return false;
+      const rect = item.element.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < window.innerHeight;
+    });
+    visible.sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+    return visible[0] || null;
+  }
+
+  /**
+   * Play the message before/after the current one
+   * With nothing playing, falls back to the latest message. During a playlist
+   * this moves within the playlist (and across unmounted messages).
+   * @param {number} offset - -1 previous, 1 next, 0 current/latest
+   */
+  playAdjacentMessage(offset) {
+    if (this.playlist.active && offset !== 0) {
+      this.playlist.jump(offset);
+      return;
+    }
+
+    const messages = Array.from(this.injector.items.values())
+      .filter(item => item.element && item.element.isConnected)
+      .sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+
+    if (messages.length === 0) {
+      this.uiPanel.updateStatus('No messages to play');
+      return;
+    }
+
+    const currentIndex = messages.findIndex(item => item.button === this.currentButton);
+    const targetIndex = currentIndex === -1 ? messages.length - 1 : currentIndex + offset;
+
+    if (targetIndex < 0 || targetIndex >= messages.length) {
+      this.uiPanel.updateStatus(offset > 0 ? 'Already at the last message' : 'Already at the first message');
+      return;
+    }
+
+    if (!this.playMessage(messages[targetIndex].element)) {
+      this.uiPanel.updateStatus('That message is empty');
+    }
+  }
+
+  /**
+   * Play a message by its element, reading its text now (it may have streamed in
+   * or been edited since detection)
+   * @param {Element} element - Character message element with a mic button
+   * @param {Object} [options] - See play()
+   * @returns {boolean} False if the message is gone or empty
+   */
+  playMessage(element, options = {}) {
+    const item = element ? this.injector.get(element) : null;
+    const text = item && element.isConnected ? this.detector.extractText(element) : '';
+    if (!text) return false;
+
+    // Your own messages: the whole message in the player voice
+    if (item.user) {
+      options = { ...options, cinematic: false, voiceURI: this.settings.userVoiceURI || this.settings.voiceURI };
+    }
+
+    this.play(element, text, item.button, options);
+    return true;
+  }
+
+  /**
+   * Read a message while it is still streaming in
+   * Finished sentences (StreamingReader) are turned into script blocks as they
+   * arrive - cast for cinematic mode, or narrated with the selected voice - and
+   * fed to the producer, so speech starts before the reply is complete.
+   * @param {Element} element - Character message element with a mic button
+   * @param {Object} [options] - See play()
+   * @returns {boolean} False if the message has no mic button
+   */
+  playStreaming(element, options = {}) {
+    const item = this.injector.get(element);
+    if (!item) return false;
+
+    this.stop();
+    this.fallbackNote = null;
+    this.cacheHits = 0;
+
+    const button = item.button;
+    this.currentButton = button;
+    this.currentElement = element;
+    this.currentText = null; // Not known until the reply finishes
+    this.setPlaybackState(button, 'PLAYING');
+    this.injector.setButtonState(button, 'loading');
+
+    const cinematic = options.cinematic !== undefined ? options.cinematic : (this.settings.cinematicMode || false);
+    const provider = this.settings.provider || 'web_speech';
+    const voiceURI = this.settings.voiceURI || null;
+    console.log(`[Janitor Voice] Reading streaming message (${cinematic ? 'cinematic' : 'single voice'})`);
+
+    const reader = new StreamingReader(element, el => this.detector.extractText(el));
+    this.streamingReader = reader;
+
+    const script = new AsyncQueue();
+    const castState = {};
+    const feed = async () => {
+      for await (const segment of reader.segments) {
+        const blocks = cinematic
+          ? parseScriptSegment(segment, castState, provider, voiceURI)
+          : [{ type: 'narration', text: segment, speaker: 'Narrator', voice: voiceURI }];
+        blocks.forEach(block => script.push(block));
+      }
+      script.close();
+      if (reader === this.streamingReader) this.currentText = this.detector.extractText(element);
+    };
+
+    feed().catch(error => {
+      console.error('[Janitor Voice] Streaming parse failed:', error);
+      script.close();
+    });
+    this.playScript(script, button).catch(error => {
+      console.error('[Janitor Voice] Streaming playback failed:', error);
+      if (this.currentButton === button) {
+        this.stop();
+        this.uiPanel.updateStatus(`⚠ ${error.message}`);
+      }
+    });
+    reader.start();
+    return true;
+  }
+
+  /**
+   * A message's content was replaced (swipe, regenerate or edit)
+   * Stops playback if it was the message playing; with autoReadSwipes the new
+   * version is read (as it streams, or once it settles).
+   * @param {Element} element
+   * @param {string} id
+   */
+  messageChanged(element, id) {
+    if (!this.settings.enabled) return;
+
+    const item = this.injector.items.get(id);
+    if (item && item.button === this.currentButton) {
+      this.stop();
+      this.uiPanel.updateStatus('↻ Message changed — playback stopped');
+    }
+
+    if (this.settings.autoReadSwipes && !this.detector.isUserMessage(element)) {
+      this.autoReader.watch(element);
+    }
+  }
+
+  /**
+   * Playback of a message finished on its own (not stopped by the user)
+   */
+  playbackFinished() {
+    const button = this.currentButton;
+    this.stop();
+    if (this.playlist.owns(button)) {
+      this.playlist.next();
+      return;
+    }
+    this.autoReader.playNext();
   }
 
   stop() {
+    // Stop reading a streaming message
+    if (this.streamingReader) {
+      this.streamingReader.stop();
+      this.streamingReader = null;
+    }
+
     // Stop cinematic consumer if exists
     if (this.cinematicConsumer) {
       this.cinematicConsumer.stop();
       this.cinematicConsumer = null;
     }
 
-    Object.values(this.engines).forEach(e => e.cancel());
+    TTSRegistry.list().forEach(e => e.cancel());
     this.highlighter.stop();
     if (this.currentButton) {
       this.injector.setButtonState(this.currentButton, 'idle');
       this.currentButton = null;
     }
+    this.currentElement = null;
+    this.currentText = null;
     this.playbackState = 'IDLE';
     this.uiPanel.updateStatus();
+    this.uiPanel.refreshCacheStats(); // New clips may have been cached
   }
 
-  async play(element, text, button) {
+  /**
+   * @param {Element} element
+   * @param {string} text
+   * @param {HTMLButtonElement} button
+   * @param {Object} [options]
+   * @param {boolean} [options.cinematic] - Override the cinematicMode setting
+   * @param {string} [options.voiceURI] - Override the voiceURI setting (single-voice playback)
+   */
+  async play(element, text, button, options = {}) {
     this.stop(); // Ensure everything is stopped first
+    this.fallbackNote = null;
+    this.cacheHits = 0;
 
     this.currentButton = button;
+    this.currentElement = element;
+    this.currentText = text;
     this.setPlaybackState(button, 'PLAYING'); // Optimistic state
 
     // Check if cinematic mode is enabled
-    const cinematicEnabled = this.settings.cinematicMode || false;
+    const cinematicEnabled = options.cinematic !== undefined ? options.cinematic : (this.settings.cinematicMode || false);
 
     if (cinematicEnabled) {
       console.log('[Janitor Voice] 🎬 Using Cinematic Multi-Voice Mode');
@@ -4129,11 +7735,11 @@ class VoiceController {
       } catch (error) {
         console.error('[Janitor Voice] Cinematic playback failed:', error);
         // Fallback to normal TTS
-        this.playNormal(element, text, button);
+        this.playNormal(element, text, button, options.voiceURI);
       }
     } else {
       console.log('[Janitor Voice] Using Normal Single-Voice Mode');
-      this.playNormal(element, text, button);
+      this.playNormal(element, text, button, options.voiceURI);
     }
   }
 
@@ -4151,12 +7757,32 @@ class VoiceController {
     console.log('[Janitor Voice] Parsed script:', result.script.length, 'blocks');
     console.log('[Janitor Voice] Characters:', Object.keys(result.registry).join(', '));
 
+    await this.playScript(result.script, button);
+  }
+
+  /**
+   * Generate and play a script through the producer/consumer pipeline
+   * @param {Array|AsyncQueue} script - Script blocks, or a queue still being filled (streaming)
+   * @param {HTMLButtonElement} button
+   */
+  async playScript(script, button) {
     // Phase 4: Create audio producer
-    const producer = new AudioProducer(this.settings.provider || 'web_speech');
+    const producer = new AudioProducer(this.settings.provider || 'web_speech', this.settings.fallbackChain);
+    producer.concurrency = this.settings.generationConcurrency;
+    producer.lookAhead = this.settings.generationLookAhead;
+    producer.voiceSettings = { rate: this.settings.rate, pitch: this.settings.pitch, volume: this.settings.volume };
+    producer.characterOffsets = this.settings.characterOffsets || {};
 
     producer.onProgress = (progress) => {
       const msg = `Generating ${progress.current}/${progress.total}...`;
-      this.uiPanel.updateStatus(msg);
+      this.cacheHits = progress.cachedAudioChunks;
+      this.uiPanel.updateStatus(this.withPlaybackNotes(msg));
+    };
+
+    producer.onFallback = (event) => this.reportFallback(event);
+
+    producer.onThrottle = ({ error, wait }) => {
+      this.uiPanel.updateStatus(`⏳ ${error.provider} rate limited — generation paused ${Math.ceil(wait / 1000)}s`);
     };
 
     producer.onComplete = (completedResult) => {
@@ -4165,10 +7791,11 @@ class VoiceController {
 
     producer.onError = (error) => {
       console.error('[Janitor Voice] Producer error:', error);
+      this.uiPanel.updateStatus(`⚠ Skipped a line: ${error.error.message}`);
     };
 
     // Start generation
-    const generationPromise = producer.generateScript(result.script);
+    const generationPromise = producer.generateScript(script);
 
     // Phase 5: Create audio consumer and start playback
     const consumer = new AudioConsumer(producer);
@@ -4186,7 +7813,7 @@ class VoiceController {
     consumer.onPlayEnd = () => {
       console.log('[Janitor Voice] 🎬 Cinematic playback ended');
       if (this.currentButton === button) {
-        this.stop();
+        this.playbackFinished();
       }
     };
 
@@ -4206,15 +7833,17 @@ class VoiceController {
 
   /**
    * Play with normal single-voice TTS (existing behavior)
+   * @param {string} [voiceURI] - Voice to use instead of the voiceURI setting
    */
-  playNormal(element, text, button) {
+  playNormal(element, text, button, voiceURI) {
     // START HIGHLIGHTING (Only works well with WebSpeech boundary events usually, but we try)
     this.highlighter.start(element, text);
 
     const engine = this.getActiveEngine();
+    const streaming = engine.capabilities.streaming;
 
-    // Show loading if async (Eleven/Unreal)
-    if (this.settings.provider !== CONFIG.PROVIDERS.WEB) {
+    // Show loading while non-streaming providers generate
+    if (!streaming) {
       this.injector.setButtonState(button, 'loading');
     }
 
@@ -4222,16 +7851,23 @@ class VoiceController {
       rate: this.settings.rate,
       pitch: this.settings.pitch,
       volume: this.settings.volume,
-      voiceURI: this.settings.voiceURI
+      voiceURI: voiceURI || this.settings.voiceURI,
+      fallbacks: TTSRegistry.getChain(engine.id, this.settings.fallbackChain).slice(1),
+      onFallback: (event) => this.reportFallback(event),
+      onCacheHit: () => {
+        this.cacheHits++;
+        this.uiPanel.updateStatus(this.withPlaybackNotes('🔊 Speaking...'));
+      }
     },
-      // onEnd
-      () => {
+      // onEnd (error set when no provider could speak a chunk)
+      (error) => {
         console.log('[Janitor Voice] Playback Ended');
         if (this.currentButton === button) {
-          this.stop();
+          this.playbackFinished();
+          if (error) this.uiPanel.updateStatus(`⚠ ${error.message}`);
         }
       },
-      // onBoundary (Web Speech only mainly)
+      // onBoundary (providers with wordTimestamps)
       (event) => {
         if (event.name === 'word') {
           this.highlighter.highlight(event.charIndex);
@@ -4240,7 +7876,7 @@ class VoiceController {
       // onProgress (Premium providers with chunking)
       (progressMsg) => {
         console.log('[Janitor Voice] Progress:', progressMsg);
-        this.uiPanel.updateStatus(progressMsg);
+        this.uiPanel.updateStatus(this.withPlaybackNotes(progressMsg));
         // Update button label for visual feedback
         const labelEl = button.querySelector('.jv-btn-label');
         if (labelEl) {
@@ -4249,8 +7885,8 @@ class VoiceController {
       }
     );
 
-    // If provider is not web speech, remove loading state when it likely starts
-    if (this.settings.provider !== CONFIG.PROVIDERS.WEB) {
+    // Remove loading state when a non-streaming provider likely starts
+    if (!streaming) {
       setTimeout(() => {
         if (this.currentButton === button && this.playbackState === 'PLAYING') {
           this.injector.setButtonState(button, 'playing');
@@ -4259,6 +7895,27 @@ class VoiceController {
     }
   }
 
+  /**
+   * Surface a provider substitution in the status line
+   * @param {{from: TTSEngine, to: TTSEngine, error: Error}} event
+   */
+  reportFallback({ from, to, error }) {
+    const reason = error.status ? ` (${error.status})` : '';
+    this.fallbackNote = `via ${to.label}`;
+    console.warn(`[Janitor Voice] ${from.label} failed${reason}, using ${to.label}:`, error.message);
+    this.uiPanel.updateStatus(`⚠ ${from.label} failed${reason} — using ${to.label}`);
+  }
+
+  /**
+   * Append fallback / cache-hit notes to a status message
+   */
+  withPlaybackNotes(msg) {
+    const notes = [];
+    if (this.fallbackNote) notes.push(this.fallbackNote);
+    if (this.cacheHits > 0) notes.push(`${this.cacheHits} cached`);
+    return notes.length > 0 ? `${msg} (${notes.join(', ')})` : msg;
+  }
+
   setPlaybackState(button, state) {
     this.playbackState = state;
     if (state === 'PAUSED') {
@@ -4275,42 +7932,171 @@ class VoiceController {
 
   // Settings API
   setEnabled(enabled) {
-    this.settings.enabled = enabled;
-    StorageManager.set('enabled', enabled);
-    if (!enabled) this.stop();
+    SettingsManager.set('enabled', enabled);
+    if (enabled) {
+      this.detector.rescan();
+    } else {
+      this.autoReader.clear();
+      this.playlist.stop();
+      this.stop();
+    }
+  }
+
+  setAutoRead(enabled) {
+    SettingsManager.set('autoRead', enabled);
+    if (!enabled) this.autoReader.clear();
+  }
+
+  setAutoReadCinematic(enabled) {
+    SettingsManager.set('autoReadCinematic', enabled);
+  }
+
+  setAutoReadWhileStreaming(enabled) {
+    SettingsManager.set('autoReadWhileStreaming', enabled);
+  }
+
+  setAutoReadSwipes(enabled) {
+    SettingsManager.set('autoReadSwipes', enabled);
+  }
+  setRate(rate) { SettingsManager.set('rate', rate); }
+  setPitch(pitch) { SettingsManager.set('pitch', pitch); }
+  setVolume(vol) { SettingsManager.set('volume', vol); }
+
+  setNormalizeLoudness(enabled) {
+    SettingsManager.set('normalizeLoudness', enabled);
+    AudioEngine.normalize = enabled;
   }
-  setRate(rate) { this.settings.rate = rate; StorageManager.set('rate', rate); }
-  setPitch(pitch) { this.settings.pitch = pitch; StorageManager.set('pitch', pitch); }
-  setVolume(vol) { this.settings.volume = vol; StorageManager.set('volume', vol); }
 
   setProvider(provider) {
-    this.settings.provider = provider;
-    StorageManager.set('provider', provider);
+    SettingsManager.set('provider', provider);
     // Reset voice URI when switching providers to default of that provider
     this.settings.voiceURI = '';
+    this.settings.userVoiceURI = '';
     this.stop();
   }
 
-  setElevenLabsKey(key) {
-    this.settings.elevenLabsKey = key;
-    StorageManager.set('elevenLabsKey', key);
-    this.engines[CONFIG.PROVIDERS.ELEVEN].setApiKey(key);
+  /**
+   * Save (or clear) a provider's secret settings field
+   * @param {string} providerId - Registered provider id
+   * @param {string} fieldKey - Key of a 'secret' field in its settingsFields
+   * @param {string} value - Empty string removes the saved value
+   * @returns {Promise<boolean>} Whether a value is now saved
+   */
+  async setProviderSecret(providerId, fieldKey, value) {
+    const engine = TTSRegistry.get(providerId);
+    const field = engine && engine.constructor.settingsFields.find(f => f.key === fieldKey && f.type === 'secret');
+    if (!field) throw new Error(`Unknown secret field: ${providerId}.${fieldKey}`);
+
+    const hasKey = await SettingsManager.setApiKey(field.secret, value);
+    TTSRegistry.configureAll(this.settings.providerConfig, SettingsManager.keyStatus);
+    return hasKey;
   }
 
-  setUnrealKey(key) {
-    this.settings.unrealKey = key;
-    StorageManager.set('unrealKey', key);
-    this.engines[CONFIG.PROVIDERS.UNREAL].setApiKey(key);
+  /**
+   * Save a provider's non-secret settings field (model, server URL, ...)
+   */
+  setProviderConfig(providerId, key, value) {
+    const providerConfig = { ...this.settings.providerConfig };
+    providerConfig[providerId] = { ...(providerConfig[providerId] || {}), [key]: value };
+    SettingsManager.set('providerConfig', providerConfig);
+    TTSRegistry.configureAll(providerConfig, SettingsManager.keyStatus);
   }
 
   setVoice(voiceURI) {
-    this.settings.voiceURI = voiceURI;
-    StorageManager.set('voiceURI', voiceURI);
+    SettingsManager.set('voiceURI', voiceURI);
+  }
+
+  /**
+   * Override one of the current site's selectors
+   * @param {string} key - SITE_ADAPTERS selector key
+   * @param {string} selector - Empty restores the adapter's selector
+   * @returns {boolean} False if the selector is invalid (nothing saved)
+   */
+  setSelectorOverride(key, selector) {
+    selector = selector.trim();
+    if (selector && SiteAdapters.countMatches(selector) === -1) return false;
+
+    const siteId = SiteAdapters.current.id;
+    const overrides = { ...(this.settings.selectorOverrides[siteId] || {}) };
+    if (selector) overrides[key] = selector;
+    else delete overrides[key];
+
+    SettingsManager.set('selectorOverrides', { ...this.settings.selectorOverrides, [siteId]: overrides });
+    this.applySelectorOverrides();
+    return true;
+  }
+
+  // Selectors changed: drop buttons that are no longer on a message and look for messages again
+  applySelectorOverrides() {
+    SiteAdapters.setOverrides(this.settings.selectorOverrides);
+
+    const messages = SiteAdapters.selector('characterMessage');
+    Array.from(this.injector.items.values())
+      .filter(item => item.element && item.element.isConnected && !item.element.matches(messages))
+      .forEach(item => {
+        if (item.button === this.currentButton) this.stop();
+        this.injector.remove(item.id);
+      });
+
+    this.detector.restart();
+  }
+
+  setUserVoice(voiceURI) {
+    SettingsManager.set('userVoiceURI', voiceURI || null);
+  }
+
+  setReadUserMessages(enabled) {
+    SettingsManager.set('readUserMessages', enabled);
+    this.updateUserMessageButtons();
+  }
+
+  // Add or remove the mic buttons on your own messages after readUserMessages changed
+  updateUserMessageButtons() {
+    if (this.settings.readUserMessages) {
+      this.detector.rescan();
+      return;
+    }
+    Array.from(this.injector.items.values()).filter(item => item.user).forEach(item => {
+      if (item.button === this.currentButton) this.stop();
+      this.injector.remove(item.id);
+    });
+  }
+
+  /**
+   * @param {string[]} chain - Provider ids to try, in order, when the active one fails
+   */
+  setFallbackChain(chain) {
+    SettingsManager.set('fallbackChain', chain);
+  }
+
+  setGenerationConcurrency(concurrency) {
+    SettingsManager.set('generationConcurrency', concurrency);
+  }
+
+  /**
+   * Save per-character speed/pitch/volume offsets for cinematic mode
+   * @param {string} json - '{"Name": {"rate": 0.2, "pitch": -0.1, "volume": -0.3}}'; empty clears
+   * @throws {Error} If the JSON is invalid or not an object of objects
+   */
+  setCharacterOffsets(json) {
+    const offsets = json.trim() ? JSON.parse(json) : {};
+    const valid = offsets && typeof offsets === 'object' && !Array.isArray(offsets) &&
+      Object.values(offsets).every(o => o && typeof o === 'object' && !Array.isArray(o));
+    if (!valid) throw new Error('Expected {"Character": {"rate": 0, "pitch": 0, "volume": 0}}');
+    SettingsManager.set('characterOffsets', offsets);
+  }
+
+  getAudioCacheStats() {
+    return AudioCache.stats();
+  }
+
+  async clearAudioCache() {
+    await AudioCache.clear();
+    console.log('[Janitor Voice] Audio cache cleared');
   }
 
   setCinematicMode(enabled) {
-    this.settings.cinematicMode = enabled;
-    StorageManager.set('cinematicMode', enabled);
+    SettingsManager.set('cinematicMode', enabled);
   }
 
   getSettings() { return this.settings; }
@@ -4318,8 +8104,8 @@ class VoiceController {
   async getVoices() {
     // Return voices for current provider
     const engine = this.getActiveEngine();
-    // If it's an async fetch (ElevenLabs), ensure we try to fetch if empty
-    if (engine instanceof ElevenLabsTTS && engine.voices.length === 0) {
+    // Providers that list voices remotely: ensure we try to fetch if empty
+    if (engine.capabilities.voiceListing && engine.getVoices().length === 0) {
       await engine.fetchVoices();
     }
     return engine.getVoices();
@@ -4328,6 +8114,18 @@ class VoiceController {
 
 if (!window.janitorVoiceLoaded) {
   window.janitorVoiceLoaded = true;
-  const ctrl = new VoiceController();
-  ctrl.init();
+  const site = SiteAdapters.resolve();
+
+  // Popup: which chat frontend (if any) this page was recognised as
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'GET_SITE') sendResponse({ site: site ? site.name : null });
+  });
+
+  if (site) {
+    console.log(`[Janitor Voice] Site: ${site.name}`);
+    const ctrl = new VoiceController();
+    ctrl.init();
+  } else {
+    console.log(`[Janitor Voice] No site adapter matches ${location.hostname}, not starting`);
+  }
 }
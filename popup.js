@@ -5,27 +5,60 @@
 
 'use strict';
 
-// Check if we're on a Janitor AI page
-chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    const currentTab = tabs[0];
+function setStatus(text, ok) {
     const statusEl = document.getElementById('status');
+    statusEl.textContent = text;
+    statusEl.style.background = ok ? 'rgba(16, 185, 129, 0.1)' : 'rgba(245, 158, 11, 0.1)';
+    statusEl.style.borderColor = ok ? 'rgba(16, 185, 129, 0.3)' : 'rgba(245, 158, 11, 0.3)';
+    statusEl.style.color = ok ? '#10b981' : '#f59e0b';
+}
+
+/**
+ * Offer to run on (or stop running on) a site other than Janitor AI
+ * Granting the origin is enough: background.js registers the content script
+ */
+function setupSiteAccess(tab) {
+    const url = new URL(tab.url);
+    if (!/^https?:$/.test(url.protocol) || url.hostname.endsWith('janitorai.com')) return;
+
+    const pattern = `${url.origin}/*`;
+    const box = document.getElementById('site-access');
+    const button = document.getElementById('site-toggle');
 
-    if (currentTab && currentTab.url) {
-        const url = currentTab.url.toLowerCase();
-        const isJanitorAI = url.includes('janitorai.com');
+    chrome.runtime.sendMessage({ action: 'GET_SITE_STATUS', pattern }, (response) => {
+        const enabled = !!(response && response.enabled);
+        button.textContent = enabled ? `Disable on ${url.hostname}` : `Enable on ${url.hostname}`;
+        box.style.display = '';
 
-        if (isJanitorAI) {
-            statusEl.textContent = '✓ Ready on Janitor AI';
-            statusEl.style.background = 'rgba(16, 185, 129, 0.1)';
-            statusEl.style.borderColor = 'rgba(16, 185, 129, 0.3)';
-            statusEl.style.color = '#10b981';
+        button.addEventListener('click', async () => {
+            if (enabled) {
+                chrome.runtime.sendMessage({ action: 'DISABLE_SITE', pattern }, () => window.close());
+                return;
+            }
+            const granted = await chrome.permissions.request({ origins: [pattern] });
+            if (!granted) return;
+            // Already-granted origins (localhost) don't fire permissions.onAdded
+            chrome.runtime.sendMessage({ action: 'ENABLE_SITE', pattern }, () => window.close());
+        });
+    });
+}
+
+// Ask the page which chat site it was recognised as
+chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const currentTab = tabs[0];
+    if (!currentTab || !currentTab.url) return;
+
+    chrome.tabs.sendMessage(currentTab.id, { action: 'GET_SITE' }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            setStatus('⚠ Not running on this site', false);
+        } else if (response.site) {
+            setStatus(`✓ Ready on ${response.site}`, true);
         } else {
-            statusEl.textContent = '⚠ Not on Janitor AI';
-            statusEl.style.background = 'rgba(245, 158, 11, 0.1)';
-            statusEl.style.borderColor = 'rgba(245, 158, 11, 0.3)';
-            statusEl.style.color = '#f59e0b';
+            setStatus('⚠ No supported chat on this page', false);
         }
-    }
+    });
+
+    setupSiteAccess(currentTab);
 });
 
 // Add click handler for the "Open Janitor AI" button